@@ -0,0 +1,196 @@
+// Local bridge for the planner's printer connection. Bambu printers report
+// over MQTT only, which a browser cannot reach, so their reports are
+// forwarded here and served over HTTP. Without a printer it works as a stub
+// that the state can be set on by hand, which is enough for trying the
+// connection.
+//
+//   GET  /status                  -> { trays: [{ slot, hex, material, empty }],
+//                                      job: { state, fileName, progress } }
+//   PUT  /status { trays?, job? } -> sets either part by hand
+//   POST /bambu  <Bambu report>   -> takes in the AMS trays and job state
+//   GET  /printer/objects/query   -> the same state as Moonraker reports it,
+//                                    for trying the Moonraker connection
+//
+// Job states are idle, printing, paused, finished and failed. Bambu printers
+// in LAN mode publish reports on device/<serial>/report (MQTT over TLS on port
+// 8883, user "bblp", the LAN access code as password); any MQTT client can
+// forward them, for example:
+//
+//   mosquitto_sub -h <printer ip> -p 8883 --cafile bambu.pem --insecure \
+//     -u bblp -P <access code> -t 'device/<serial>/report' | while read -r line; do
+//       curl -s -X POST --data "$line" http://localhost:8788/bambu; done
+//
+// Environment: PORT (default 8788), BRIDGE_SLOTS (empty slots to report
+// before the first report arrives, default 4).
+
+import { createServer } from 'node:http';
+
+const port = Number(process.env.PORT) || 8788;
+const initialSlots = Number(process.env.BRIDGE_SLOTS) || 4;
+const maxBodyBytes = 1024 * 1024;
+
+const JOB_STATES = ['idle', 'printing', 'paused', 'finished', 'failed'];
+const BAMBU_STATES = {
+  IDLE: 'idle',
+  PREPARE: 'printing',
+  SLICING: 'printing',
+  RUNNING: 'printing',
+  PAUSE: 'paused',
+  FINISH: 'finished',
+  FAILED: 'failed',
+};
+const MOONRAKER_STATES = {
+  idle: 'standby',
+  printing: 'printing',
+  paused: 'paused',
+  finished: 'complete',
+  failed: 'error',
+};
+
+const state = {
+  trays: Array.from({ length: initialSlots }, (_, slot) => ({ slot, hex: null, material: null, empty: true })),
+  job: { state: 'idle', fileName: '', progress: null },
+};
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Api-Key',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, OPTIONS',
+    'Content-Type': 'application/json',
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+async function readBody(request) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > maxBodyBytes) {
+      throw new Error('Request body is too large.');
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+function setStatus(body) {
+  if (body.trays !== undefined) {
+    if (!Array.isArray(body.trays)) {
+      throw new Error('trays must be a list.');
+    }
+    state.trays = body.trays.map((tray, index) => ({
+      slot: Number.isInteger(tray?.slot) ? tray.slot : index,
+      hex: typeof tray?.hex === 'string' ? tray.hex : null,
+      material: typeof tray?.material === 'string' ? tray.material : null,
+      empty: Boolean(tray?.empty),
+    }));
+  }
+  if (body.job !== undefined) {
+    if (!JOB_STATES.includes(body.job?.state)) {
+      throw new Error(`job.state must be one of ${JOB_STATES.join(', ')}.`);
+    }
+    state.job = {
+      state: body.job.state,
+      fileName: String(body.job.fileName ?? ''),
+      progress: Number.isFinite(body.job.progress) ? body.job.progress : null,
+    };
+  }
+}
+
+// Reports after the first one only carry what changed, so each part is
+// taken in only when present. Each AMS unit has four trays; a tray without a
+// type is empty, and tray colors come as RRGGBBAA.
+function takeBambuReport(report) {
+  const print = report?.print;
+  if (!print || typeof print !== 'object') {
+    return;
+  }
+
+  if (typeof print.gcode_state === 'string') {
+    state.job = { ...state.job, state: BAMBU_STATES[print.gcode_state] ?? 'idle' };
+  }
+  if (typeof print.subtask_name === 'string') {
+    state.job = { ...state.job, fileName: print.subtask_name };
+  }
+  if (Number.isFinite(print.mc_percent)) {
+    state.job = { ...state.job, progress: print.mc_percent / 100 };
+  }
+  if (Array.isArray(print.ams?.ams)) {
+    state.trays = print.ams.ams.flatMap((unit) =>
+      (Array.isArray(unit.tray) ? unit.tray : []).map((tray) => ({
+        slot: Number(unit.id) * 4 + Number(tray.id),
+        hex: typeof tray.tray_color === 'string' ? `#${tray.tray_color.slice(0, 6)}` : null,
+        material: tray.tray_type || null,
+        empty: !tray.tray_type,
+      }))
+    );
+  }
+}
+
+function moonrakerStatus() {
+  const slots = Math.max(0, ...state.trays.map((tray) => tray.slot + 1));
+  const gate = (slot) => state.trays.find((tray) => tray.slot === slot);
+  const gates = Array.from({ length: slots }, (_, slot) => gate(slot));
+  return {
+    result: {
+      status: {
+        print_stats: { state: MOONRAKER_STATES[state.job.state], filename: state.job.fileName },
+        display_status: { progress: state.job.progress ?? 0 },
+        mmu: {
+          gate_color: gates.map((tray) => tray?.hex?.replace('#', '') ?? ''),
+          gate_material: gates.map((tray) => tray?.material ?? ''),
+          gate_status: gates.map((tray) => (!tray || tray.empty ? 0 : 1)),
+        },
+      },
+    },
+  };
+}
+
+async function handle(request, response) {
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+
+  const url = new URL(request.url, 'http://localhost');
+  if (url.pathname === '/status' && request.method === 'GET') {
+    send(response, 200, state);
+    return;
+  }
+  if (url.pathname === '/printer/objects/query' && request.method === 'GET') {
+    send(response, 200, moonrakerStatus());
+    return;
+  }
+
+  const writable =
+    (url.pathname === '/status' && request.method === 'PUT') ||
+    (url.pathname === '/bambu' && request.method === 'POST');
+  if (!writable) {
+    send(response, 404, { error: 'Not found.' });
+    return;
+  }
+
+  try {
+    const body = await readBody(request);
+    if (url.pathname === '/bambu') {
+      takeBambuReport(body);
+    } else {
+      setStatus(body);
+    }
+  } catch (error) {
+    send(response, 400, { error: error.message });
+    return;
+  }
+  send(response, 200, state);
+}
+
+createServer((request, response) => {
+  handle(request, response).catch((error) => {
+    console.error(error);
+    send(response, 500, { error: 'Internal error.' });
+  });
+}).listen(port, () => {
+  console.log(`Filament swap printer bridge listening on http://localhost:${port}`);
+});
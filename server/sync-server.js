@@ -0,0 +1,136 @@
+// Minimal sync server for the planner's optional device sync. It is meant
+// for a home network or for trying sync locally, not for the open internet.
+//
+//   GET    /projects      -> { projects: [{ id, updatedAt, project }] }
+//                            (project is null once deleted)
+//   PUT    /projects/:id  { baseUpdatedAt, project } -> { id, updatedAt, project }
+//   DELETE /projects/:id  { baseUpdatedAt }          -> { id, updatedAt, project: null }
+//
+// Writes whose baseUpdatedAt is not the stored updatedAt get 409 with the
+// stored entry, so a device never overwrites a change it has not seen.
+//
+// Environment: PORT (default 8787), SYNC_TOKEN (require this bearer token),
+// SYNC_DATA_FILE (keep projects in this JSON file instead of memory only).
+// Without a data file a restart forgets everything; clients then get 409
+// with updatedAt null and send their projects again as new.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+
+const port = Number(process.env.PORT) || 8787;
+const token = process.env.SYNC_TOKEN ?? '';
+const dataFile = process.env.SYNC_DATA_FILE ?? '';
+const maxBodyBytes = 5 * 1024 * 1024;
+
+function loadEntries() {
+  if (!dataFile) {
+    return new Map();
+  }
+
+  try {
+    return new Map(JSON.parse(readFileSync(dataFile, 'utf8')).map((entry) => [entry.id, entry]));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Map();
+    }
+    throw error;
+  }
+}
+
+const entries = loadEntries();
+
+function persist() {
+  if (dataFile) {
+    writeFileSync(dataFile, JSON.stringify([...entries.values()], null, 2));
+  }
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Content-Type': 'application/json',
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+async function readBody(request) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > maxBodyBytes) {
+      throw new Error('Request body is too large.');
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+// Stamps are milliseconds, bumped past the previous stamp so two writes in
+// the same millisecond still differ.
+function nextStamp(entry) {
+  return Math.max(Date.now(), (entry?.updatedAt ?? 0) + 1);
+}
+
+async function handle(request, response) {
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+  if (token && request.headers.authorization !== `Bearer ${token}`) {
+    send(response, 401, { error: 'Missing or wrong access token.' });
+    return;
+  }
+
+  const url = new URL(request.url, 'http://localhost');
+  if (url.pathname === '/projects' && request.method === 'GET') {
+    send(response, 200, { projects: [...entries.values()] });
+    return;
+  }
+
+  const match = /^\/projects\/([^/]+)$/.exec(url.pathname);
+  if (!match || !['PUT', 'DELETE'].includes(request.method)) {
+    send(response, 404, { error: 'Not found.' });
+    return;
+  }
+
+  const id = decodeURIComponent(match[1]);
+  let body;
+  try {
+    body = await readBody(request);
+  } catch (error) {
+    send(response, 400, { error: error.message });
+    return;
+  }
+
+  const current = entries.get(id);
+  if ((current?.updatedAt ?? null) !== (body.baseUpdatedAt ?? null)) {
+    send(response, 409, current ?? { id, updatedAt: null, project: null });
+    return;
+  }
+
+  if (request.method === 'PUT') {
+    if (!body.project || typeof body.project !== 'object' || body.project.id !== id) {
+      send(response, 400, { error: 'The body must contain the project with a matching id.' });
+      return;
+    }
+    entries.set(id, { id, updatedAt: nextStamp(current), project: body.project });
+  } else {
+    // Deleted projects stay as tombstones so other devices learn about it.
+    entries.set(id, { id, updatedAt: nextStamp(current), project: null });
+  }
+
+  persist();
+  send(response, 200, entries.get(id));
+}
+
+createServer((request, response) => {
+  handle(request, response).catch((error) => {
+    console.error(error);
+    send(response, 500, { error: 'Internal error.' });
+  });
+}).listen(port, () => {
+  console.log(`Filament swap sync server listening on http://localhost:${port}`);
+});
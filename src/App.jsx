@@ -1,216 +1,512 @@
-import { useEffect, useMemo, useState } from 'react';
-
-const STORAGE_KEY = 'filament-swapper-state-v1';
-
-function uid() {
-  return crypto.randomUUID();
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  DEFAULT_SPOOL_GRAMS,
+  EXACT_PLATE_LIMIT,
+  PLAN_COSTS,
+  PLATE_PRIORITIES,
+  flushVolume,
+  mustPrintAfter,
+  normalizeAmsLayout,
+  planPrinters,
+  plateColorGrams,
+  plateColorRanges,
+  plateMaterialWarning,
+  schedulePrinters,
+  slotLabel,
+} from './planner';
+import ColorList from './ColorList';
+import ColorSwatch from './ColorSwatch';
+import { MATERIALS, filamentDisplayName } from './filaments';
+import { formatClock, formatDateTime, formatDuration, formatGrams } from './format';
+import FailPrintDialog from './FailPrintDialog';
+import { readGcode } from './gcode';
+import { loadHistory, rebaseHistory, recordChange, redo, saveHistory, undo } from './history';
+import {
+  CORRECTION_MIN_SAMPLES,
+  actualMinutes,
+  describeCorrection,
+  estimateWaste,
+  filamentUsage,
+  logPrintFailure,
+  logPrintFinish,
+  logPrintStart,
+  logPrintUndo,
+  printerTimeFactors,
+  timeCorrection,
+  wastedColorGrams,
+} from './printLog';
+import {
+  PRINTER_LINKS_KEY,
+  PRINTER_LINK_KINDS,
+  describeJob,
+  findJobPlate,
+  loadPrinterLinks,
+  matchTrays,
+  readPrinterStatus,
+  savePrinterLinks,
+} from './printerLink';
+import { createShareUrl, hasSharedProject, readSharedProject } from './share';
+import RunMode from './RunMode';
+import SharedProjectPreview from './SharedProjectPreview';
+import {
+  STORAGE_KEY,
+  createColor,
+  createPlate,
+  createPrinter,
+  applyProjectImport,
+  copyProject,
+  discardRecoveryEntry,
+  findNameConflict,
+  loadRecoveryEntries,
+  loadState,
+  parseProjectFile,
+  readStoredState,
+  resolveProject,
+  saveState,
+  serializeProjects,
+  storeProject,
+  storeProjectViews,
+  uid,
+} from './storage';
+import {
+  REMOTE_SETTINGS_KEY,
+  REMOTE_STATE_KEY,
+  applyRemoteChanges,
+  emptyRemoteState,
+  loadRemoteSettings,
+  loadRemoteState,
+  queueLocalChanges,
+  resolveRemoteConflict,
+  saveRemoteSettings,
+  saveRemoteState,
+  syncProjects,
+  withSyncLock,
+} from './remoteSync';
+import {
+  mergeConflicts,
+  projectsToStore,
+  reconcileProjects,
+  reconcileWorkspace,
+  snapshotProjects,
+  snapshotWorkspace,
+} from './sync';
+import { readThreeMf } from './threemf';
+
+const SPOOL_SIZES = [250, 500, 750, 1000, 2000, 3000];
+const PRINTER_POLL_MS = 15000;
+
+function downloadText(text, fileName) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
-function loadState() {
-  try {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (!saved) {
-      return { projects: [], selectedProjectId: null };
-    }
-
-    const parsed = JSON.parse(saved);
-    if (!Array.isArray(parsed.projects)) {
-      return { projects: [], selectedProjectId: null };
-    }
+function downloadProjects(projects, fileName, workspace) {
+  downloadText(serializeProjects(projects, workspace), fileName);
+}
 
-    return {
-      projects: parsed.projects.map((project) => ({
-        ...project,
-        currentAms: Array.isArray(project.currentAms) ? project.currentAms : [],
-        plates: Array.isArray(project.plates)
-          ? project.plates.map((plate) => ({
-              ...plate,
-              printMinutes: Number(plate.printMinutes) > 0 ? Number(plate.printMinutes) : 0,
-              printing: Boolean(plate.printing),
-            }))
-          : [],
-      })),
-      selectedProjectId: parsed.selectedProjectId ?? null,
-    };
-  } catch {
-    return { projects: [], selectedProjectId: null };
-  }
+// Resolved copies of all projects, as files and the sync server hold them.
+function projectViews(state) {
+  return state.projects.map((project) => resolveProject(project, state.workspace));
 }
 
-function colorFrequency(plates) {
-  const freq = new Map();
-  for (const plate of plates) {
-    for (const colorId of plate.colorIds) {
-      freq.set(colorId, (freq.get(colorId) ?? 0) + 1);
-    }
+function describeManualOrder(extraSwaps) {
+  const swaps = (count) => `${count} ${count === 1 ? 'swap' : 'swaps'}`;
+  if (extraSwaps > 0) {
+    return `costs ${swaps(extraSwaps)} more than the automatic plan`;
   }
-  return freq;
+  return extraSwaps < 0
+    ? `saves ${swaps(-extraSwaps)} over the automatic plan`
+    : 'needs no more swaps than the automatic plan';
 }
 
-function chooseNextSet(currentSet, requiredSet, futurePlates, slots) {
-  const freq = colorFrequency(futurePlates);
-  const next = new Set(requiredSet);
-
-  const candidates = [...currentSet].filter((c) => !next.has(c));
-  candidates.sort((a, b) => (freq.get(b) ?? 0) - (freq.get(a) ?? 0));
+function fileSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+}
 
-  for (const colorId of candidates) {
-    if (next.size >= slots) {
-      break;
-    }
-    next.add(colorId);
+// Marks one more copy of a plate printed, or takes one back, taking its
+// filament off the spools (or putting it back) so remaining grams stay right.
+// The plate is printed once all its copies are.
+function markCopyPrinted(project, plateId, printed) {
+  const target = project.plates.find((plate) => plate.id === plateId);
+  if (!target || (printed ? target.printed : target.printedCount === 0)) {
+    return project;
   }
 
-  const remaining = new Set();
-  for (const plate of futurePlates) {
-    for (const colorId of plate.colorIds) {
-      if (!next.has(colorId)) {
-        remaining.add(colorId);
+  const grams = plateColorGrams(target);
+  const direction = printed ? -1 : 1;
+  const printedCount = target.printedCount - direction;
+
+  return {
+    ...project,
+    printLog: printed
+      ? logPrintFinish(project.printLog, target, target.printerId)
+      : logPrintUndo(project.printLog, plateId, true),
+    colors: project.colors.map((color) => {
+      if (color.spoolGrams === null || !grams[color.id]) {
+        return color;
       }
-    }
-  }
 
-  for (const colorId of remaining) {
-    if (next.size >= slots) {
-      break;
-    }
-    next.add(colorId);
-  }
+      return {
+        ...color,
+        spoolGrams: Math.max(0, color.spoolGrams + direction * grams[color.id]),
+      };
+    }),
+    plates: project.plates.map((plate) => {
+      if (plate.id !== plateId) {
+        return plate;
+      }
 
-  return next;
+      return {
+        ...plate,
+        printedCount,
+        printed: printedCount === plate.quantity,
+        printing: printed ? false : plate.printing,
+        failed: false,
+      };
+    }),
+  };
 }
 
-function buildPlan(project, currentAms, timeSortOrder) {
-  const slots = Number(project.amsSlots) || 4;
-  const remaining = project.plates.filter((p) => !p.printed);
-  let currentSet = new Set(currentAms);
-  const pending = [...remaining];
-  const steps = [];
-  let totalSwaps = 0;
-
-  while (pending.length > 0) {
-    const prioritizePrinting = pending.some((p) => p.printing);
-    let bestIndex = 0;
-    let bestMissing = Number.POSITIVE_INFINITY;
-    let bestOverlap = -1;
-    let bestFutureScore = -1;
-    let bestPrintMinutes =
-      timeSortOrder === 'desc' ? Number.NEGATIVE_INFINITY : Number.POSITIVE_INFINITY;
-    const freq = colorFrequency(pending);
-
-    for (let i = 0; i < pending.length; i += 1) {
-      if (prioritizePrinting && !pending[i].printing) {
-        continue;
-      }
+// Starts or stops a plate on a printer. Starting a plate stops whatever
+// else was printing there; stopped prints leave no entry in the print log.
+function togglePlatePrinting(project, plateId, printerId, swaps = null) {
+  const target = project.plates.find((plate) => plate.id === plateId);
+  if (!target || target.printed) {
+    return project;
+  }
 
-      const req = new Set(pending[i].colorIds);
-      const printMinutes = Number(pending[i].printMinutes) > 0 ? Number(pending[i].printMinutes) : 0;
-      let missing = 0;
-      let overlap = 0;
-      for (const colorId of req) {
-        if (currentSet.has(colorId)) {
-          overlap += 1;
-        } else {
-          missing += 1;
-        }
+  const stopped = project.plates.filter(
+    (plate) => !plate.printed && plate.printing && (plate.id === plateId || plate.printerId === printerId)
+  );
+  let printLog = stopped.reduce((log, plate) => logPrintUndo(log, plate.id, false), project.printLog);
+  if (!target.printing) {
+    printLog = logPrintStart(printLog, target, printerId, swaps);
+  }
+
+  return {
+    ...project,
+    printLog,
+    plates: project.plates.map((plate) => {
+      if (plate.printed) {
+        return plate;
       }
 
-      let futureScore = 0;
-      for (const colorId of req) {
-        futureScore += freq.get(colorId) ?? 0;
+      if (plate.id === plateId) {
+        return {
+          ...plate,
+          printing: !plate.printing,
+          printerId: plate.printing ? null : printerId,
+          failed: false,
+        };
       }
 
-      const betterByTime =
-        timeSortOrder === 'desc'
-          ? printMinutes > bestPrintMinutes
-          : printMinutes < bestPrintMinutes;
-
-      const isBetter =
-        missing < bestMissing ||
-        (missing === bestMissing &&
-          betterByTime) ||
-        (missing === bestMissing &&
-          printMinutes === bestPrintMinutes &&
-          overlap > bestOverlap) ||
-        (missing === bestMissing &&
-          printMinutes === bestPrintMinutes &&
-          overlap === bestOverlap &&
-          futureScore > bestFutureScore);
-
-      if (isBetter) {
-        bestMissing = missing;
-        bestOverlap = overlap;
-        bestFutureScore = futureScore;
-        bestPrintMinutes = printMinutes;
-        bestIndex = i;
+      if (plate.printerId !== printerId) {
+        return plate;
       }
-    }
 
-    const plate = pending.splice(bestIndex, 1)[0];
-    const requiredSet = new Set(plate.colorIds);
-    const requiresPauseAndFilamentSwap = requiredSet.size > slots;
-    const nextSet = chooseNextSet(currentSet, requiredSet, pending, slots);
+      return {
+        ...plate,
+        printing: false,
+        printerId: null,
+      };
+    }),
+  };
+}
+
+// Logs a failed attempt and takes the filament it used off the spools. The
+// plate either goes back into the plan, where it is tried again first, or
+// starts over on the same printer at once.
+function failPlatePrint(project, plateId, { reason, note, wastedGrams, reprint }) {
+  const target = project.plates.find((plate) => plate.id === plateId);
+  if (!target || !target.printing) {
+    return project;
+  }
 
-    let swaps = 0;
-    const remove = [];
-    const add = [];
+  const grams = wastedColorGrams(target, wastedGrams);
+  let printLog = logPrintFailure(project.printLog, target, target.printerId, { reason, note, grams });
+  if (reprint) {
+    printLog = logPrintStart(printLog, target, target.printerId, 0);
+  }
 
-    for (const colorId of currentSet) {
-      if (!nextSet.has(colorId)) {
-        remove.push(colorId);
+  return {
+    ...project,
+    printLog,
+    colors: project.colors.map((color) =>
+      color.spoolGrams === null || !grams[color.id]
+        ? color
+        : { ...color, spoolGrams: Math.max(0, color.spoolGrams - grams[color.id]) }
+    ),
+    plates: project.plates.map((plate) => {
+      if (plate.id !== plateId) {
+        return plate;
       }
-    }
+      return reprint ? plate : { ...plate, printing: false, printerId: null, failed: true };
+    }),
+  };
+}
 
-    for (const colorId of nextSet) {
-      if (!currentSet.has(colorId)) {
-        swaps += 1;
-        add.push(colorId);
-      }
+// Adds plates read from slicer files, reusing a project color when its hex
+// and material match (or, for colors without a hex, its name), then a library
+// color the same way, and creating the rest.
+function mergeImportedPlates(project, importedPlates, library) {
+  const colors = [...project.colors];
+
+  function resolveColor(filament) {
+    const name = filamentDisplayName(filament);
+    const find = (list) =>
+      (filament.hex &&
+        list.find((color) => color.hex === filament.hex && (color.material ?? null) === filament.material)) ||
+      list.find((color) => !color.hex && color.name.toLowerCase() === name.toLowerCase());
+    const match = find(colors);
+    if (match) {
+      return match.id;
     }
 
-    totalSwaps += swaps;
+    const known = find(library);
+    if (known) {
+      colors.push(known);
+      return known.id;
+    }
 
-    steps.push({
-      plateId: plate.id,
-      plateName: plate.name,
-      printMinutes: Number(plate.printMinutes) > 0 ? Number(plate.printMinutes) : 0,
-      required: [...requiredSet],
-      before: [...currentSet],
-      after: [...nextSet],
-      swaps,
-      swapOut: remove,
-      swapIn: add,
-      requiresPauseAndFilamentSwap,
+    const taken = [...colors, ...library].some((color) => color.name.toLowerCase() === name.toLowerCase());
+    const color = createColor(taken && filament.hex ? `${name} ${filament.hex}` : name, {
+      hex: filament.hex,
+      material: filament.material,
     });
-
-    currentSet = nextSet;
+    colors.push(color);
+    return color.id;
   }
 
-  return { error: null, steps, totalSwaps };
+  const plates = importedPlates.map((imported) => {
+    const colorIds = [];
+    const colorGrams = {};
+    for (const filament of imported.filaments) {
+      const colorId = resolveColor(filament);
+      if (!colorIds.includes(colorId)) {
+        colorIds.push(colorId);
+      }
+      if (filament.grams > 0) {
+        colorGrams[colorId] = (colorGrams[colorId] ?? 0) + filament.grams;
+      }
+    }
+    return createPlate({ name: imported.name, printMinutes: imported.printMinutes, colorIds, colorGrams });
+  });
+
+  return {
+    ...project,
+    colors,
+    plates: [...project.plates, ...plates],
+  };
 }
 
 function App() {
-  const [state, setState] = useState(loadState);
+  const [state, setState] = useState(() => ({ ...loadState(), history: loadHistory() }));
+  const [recoveryEntries, setRecoveryEntries] = useState(loadRecoveryEntries);
   const [newProjectName, setNewProjectName] = useState('');
-  const [newProjectSlots, setNewProjectSlots] = useState(4);
   const [projectNameDraft, setProjectNameDraft] = useState('');
-  const [projectSlotsDraft, setProjectSlotsDraft] = useState('');
+  const [printerNameDrafts, setPrinterNameDrafts] = useState({});
+  const [printerSlotDrafts, setPrinterSlotDrafts] = useState({});
 
   const [newColorName, setNewColorName] = useState('');
   const [newPlateName, setNewPlateName] = useState('');
   const [newPlateMinutes, setNewPlateMinutes] = useState('');
+  const [newPlateQuantity, setNewPlateQuantity] = useState('1');
   const [newPlateColors, setNewPlateColors] = useState([]);
+  const [importStatus, setImportStatus] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [transferStatus, setTransferStatus] = useState(null);
+  const [sharedProject, setSharedProject] = useState(null);
+  const [shareStatus, setShareStatus] = useState(null);
+  const [sharedLinkError, setSharedLinkError] = useState(null);
+  const [runMode, setRunMode] = useState(false);
+  const [failingPlateId, setFailingPlateId] = useState(null);
+  const [draggedStep, setDraggedStep] = useState(null);
   const [planTimeSortOrder, setPlanTimeSortOrder] = useState('asc');
+  const [planMode, setPlanMode] = useState('greedy');
+  const [planCost, setPlanCost] = useState('swaps');
   const [plateMinuteDrafts, setPlateMinuteDrafts] = useState({});
+  const [plateQuantityDrafts, setPlateQuantityDrafts] = useState({});
   const [plateNameDrafts, setPlateNameDrafts] = useState({});
+  const [colorDrafts, setColorDrafts] = useState({});
+  const [numberDrafts, setNumberDrafts] = useState({});
+  const [now, setNow] = useState(Date.now);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [storageRevision, setStorageRevision] = useState(0);
+  const syncBase = useRef(null);
+  const [remoteSettings, setRemoteSettings] = useState(loadRemoteSettings);
+  const [remoteUrlDraft, setRemoteUrlDraft] = useState(remoteSettings.url);
+  const [remoteTokenDraft, setRemoteTokenDraft] = useState(remoteSettings.token);
+  const [remoteSync, setRemoteSync] = useState(loadRemoteState);
+  const [remoteStatus, setRemoteStatus] = useState(null);
+  const remoteSyncRunning = useRef(false);
+  const [printerLinks, setPrinterLinks] = useState(loadPrinterLinks);
+  const [printerLinkDrafts, setPrinterLinkDrafts] = useState({});
+  const [printerReadings, setPrinterReadings] = useState({});
+  const lastJobStates = useRef({});
+  const latest = useRef(null);
+  latest.current = { state, remoteSettings, printerLinks };
+  const resolvedProjects = useMemo(() => projectViews(state), [state.projects, state.workspace]);
+
+  function linkedPrinterIds() {
+    return Object.keys(latest.current.printerLinks);
+  }
+
+  // Other tabs write the same storage key, so each save first takes in what
+  // they changed and holds back projects that both tabs edited.
+  useEffect(() => {
+    const stored = readStoredState();
+    let conflicts = syncConflicts;
+    if (stored) {
+      syncBase.current ??= {
+        projects: snapshotProjects(stored.projects),
+        workspace: snapshotWorkspace(stored.workspace),
+      };
+      const result = reconcileProjects(state.projects, stored.projects, syncBase.current.projects);
+      const workspace = reconcileWorkspace(state.workspace, stored.workspace, syncBase.current.workspace);
+      conflicts = mergeConflicts(syncConflicts, result.conflicts);
+      if (conflicts !== syncConflicts) {
+        setSyncConflicts(conflicts);
+      }
+      if (result.projects !== state.projects || workspace !== state.workspace) {
+        setState((prev) => ({
+          ...prev,
+          projects: result.projects,
+          workspace,
+          history: rebaseHistory(prev.history, prev, { projects: result.projects, workspace }),
+        }));
+        return;
+      }
+    }
+
+    const projects = projectsToStore(state.projects, conflicts);
+    saveState({ ...state, projects });
+    syncBase.current = { projects: snapshotProjects(projects), workspace: snapshotWorkspace(state.workspace) };
+  }, [state.projects, state.workspace, state.selectedProjectId, syncConflicts, storageRevision]);
+
+  useEffect(() => {
+    function handleStorage(event) {
+      if (event.key === STORAGE_KEY) {
+        setStorageRevision((prev) => prev + 1);
+      } else if (event.key === REMOTE_STATE_KEY) {
+        setRemoteSync(loadRemoteState());
+      } else if (event.key === REMOTE_SETTINGS_KEY) {
+        setRemoteSettings(loadRemoteSettings());
+      } else if (event.key === PRINTER_LINKS_KEY) {
+        setPrinterLinks(loadPrinterLinks());
+      }
+    }
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-  }, [state]);
+    if (!remoteSettings.enabled) {
+      return;
+    }
+
+    const remote = loadRemoteState();
+    const queued = queueLocalChanges(remote, resolvedProjects);
+    if (queued !== remote) {
+      saveRemoteState(queued);
+      setRemoteSync(queued);
+    }
+
+    const timer = setTimeout(runRemoteSync, 2000);
+    return () => clearTimeout(timer);
+  }, [resolvedProjects, remoteSettings]);
+
+  useEffect(() => {
+    if (!remoteSettings.enabled) {
+      return;
+    }
+
+    const interval = setInterval(runRemoteSync, 30000);
+    window.addEventListener('online', runRemoteSync);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', runRemoteSync);
+    };
+  }, [remoteSettings]);
+
+  useEffect(() => {
+    if (!state.selectedProjectId || Object.keys(printerLinks).length === 0) {
+      return;
+    }
+
+    readLinkedPrinters();
+    const interval = setInterval(readLinkedPrinters, PRINTER_POLL_MS);
+    return () => clearInterval(interval);
+  }, [state.selectedProjectId, printerLinks]);
+
+  useEffect(() => {
+    saveHistory(state.history);
+  }, [state.history]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+
+      const target = event.target;
+      const editsText =
+        target.isContentEditable ||
+        target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type));
+      if (editsText) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        setState((prev) => undo(prev, 1, linkedPrinterIds()));
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        setState((prev) => redo(prev, 1, linkedPrinterIds()));
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    async function openSharedLink() {
+      if (!hasSharedProject(window.location.hash)) {
+        setSharedProject(null);
+        return;
+      }
+
+      try {
+        setSharedProject(await readSharedProject(window.location.hash));
+        setSharedLinkError(null);
+      } catch (error) {
+        setSharedProject(null);
+        setSharedLinkError(error.message);
+      }
+    }
+
+    openSharedLink();
+    window.addEventListener('hashchange', openSharedLink);
+    return () => window.removeEventListener('hashchange', openSharedLink);
+  }, []);
 
   const selectedProject = useMemo(() => {
-    return state.projects.find((p) => p.id === state.selectedProjectId) ?? null;
-  }, [state.projects, state.selectedProjectId]);
+    const project = state.projects.find((p) => p.id === state.selectedProjectId);
+    return project ? resolveProject(project, state.workspace) : null;
+  }, [state.projects, state.workspace, state.selectedProjectId]);
 
   const sortedProjectColors = useMemo(() => {
     if (!selectedProject) {
@@ -226,7 +522,9 @@ function App() {
       setPlateMinuteDrafts({});
       setPlateNameDrafts({});
       setProjectNameDraft('');
-      setProjectSlotsDraft('');
+      setPrinterNameDrafts({});
+      setPrinterSlotDrafts({});
+      setShareStatus(null);
       return;
     }
 
@@ -234,43 +532,121 @@ function App() {
     setPlateMinuteDrafts({});
     setPlateNameDrafts({});
     setProjectNameDraft(selectedProject.name);
-    setProjectSlotsDraft(String(selectedProject.amsSlots));
+    setPrinterNameDrafts({});
+    setPrinterSlotDrafts({});
+    setShareStatus(null);
   }, [selectedProject]);
 
-  const currentAms = useMemo(() => {
+  const printers = useMemo(() => {
     if (!selectedProject) {
       return [];
     }
 
-    return (selectedProject.currentAms ?? []).filter((id) => selectedProject.colors.some((color) => color.id === id));
-  }, [selectedProject]);
+    // Slots may hold library colors this project does not use; they still
+    // have to come out before anything else goes in.
+    const library = new Set(state.workspace.colors.map((color) => color.id));
+    return selectedProject.printers.map((printer) => ({
+      ...printer,
+      layout: normalizeAmsLayout(printer.currentAms, printer.amsSlots).map((id, slot) =>
+        library.has(id) && !printer.reservedSlots.includes(slot) ? id : null
+      ),
+      pinnedColorIds: printer.pinnedColorIds.filter((id) => selectedProject.colors.some((color) => color.id === id)),
+    }));
+  }, [selectedProject, state.workspace.colors]);
+
+  // Due dates are measured from the plan start. Planning from the current
+  // time is only needed for them, so the plan is not redone every minute
+  // without them.
+  const hasDueDates = Boolean(selectedProject?.plates.some((plate) => plate.dueAt && !plate.printed));
+  const planStartAt = selectedProject?.schedule.startAt
+    ? Date.parse(selectedProject.schedule.startAt)
+    : hasDueDates
+      ? now
+      : null;
+
+  const swapPlan = useMemo(() => {
+    if (!selectedProject) {
+      return {
+        error: null,
+        lanes: [],
+        totalSwaps: 0,
+        greedySwaps: 0,
+        purgeGrams: 0,
+        purgeMinutes: 0,
+        greedyPurgeGrams: 0,
+        fallbackReason: null,
+        finishMinutes: 0,
+        materialWarnings: {},
+        manualExtraSwaps: null,
+      };
+    }
+
+    return planPrinters(selectedProject, printers, {
+      mode: planMode,
+      timeSortOrder: planTimeSortOrder,
+      startAt: planStartAt,
+      cost: planCost,
+    });
+  }, [selectedProject, printers, planMode, planTimeSortOrder, planStartAt, planCost]);
 
   const planner = useMemo(() => {
     if (!selectedProject) {
-      return { error: null, steps: [], totalSwaps: 0 };
+      return { ...swapPlan, finishAt: null };
     }
 
-    return buildPlan(selectedProject, currentAms, planTimeSortOrder);
-  }, [selectedProject, currentAms, planTimeSortOrder]);
+    const { startAt, attended, correctTimes } = selectedProject.schedule;
+    return schedulePrinters(swapPlan, selectedProject, printers, {
+      startAt: startAt ? Date.parse(startAt) : now,
+      attended,
+      timeFactors: correctTimes ? printerTimeFactors(selectedProject.printLog, printers) : {},
+    });
+  }, [swapPlan, selectedProject, printers, now]);
+
+  // Plates with some copies printed show here as well as under Plates.
+  const completedPlates = selectedProject ? selectedProject.plates.filter((p) => p.printedCount > 0) : [];
+  const latePlateCount = planner.lanes.reduce((sum, lane) => sum + lane.steps.filter((step) => step.late).length, 0);
+
+  // `updater` gets the resolved project; colors and printers it changes are
+  // written back to the workspace.
+  function updateProject(projectId, label, updater) {
+    setState((prev) => {
+      const project = prev.projects.find((p) => p.id === projectId);
+      if (!project) {
+        return prev;
+      }
 
-  const completedPlates = selectedProject ? selectedProject.plates.filter((p) => p.printed) : [];
+      const view = resolveProject(project, prev.workspace);
+      const next = updater(view);
+      if (next === view) {
+        return prev;
+      }
 
-  function updateProject(projectId, updater) {
-    setState((prev) => ({
-      ...prev,
-      projects: prev.projects.map((project) => {
-        if (project.id !== projectId) {
-          return project;
-        }
-        return updater(project);
-      }),
-    }));
+      const stored = storeProject(next, prev.workspace);
+      return recordChange(
+        prev,
+        label,
+        prev.projects.map((p) => (p.id === projectId ? stored.project : p)),
+        projectId,
+        stored.workspace
+      );
+    });
+  }
+
+  function plateLabel(plateId) {
+    return selectedProject?.plates.find((plate) => plate.id === plateId)?.name ?? 'plate';
+  }
+
+  function colorLabel(colorId) {
+    return state.workspace.colors.find((color) => color.id === colorId)?.name ?? 'color';
+  }
+
+  function printerLabel(printerId) {
+    return selectedProject?.printers.find((printer) => printer.id === printerId)?.name ?? 'printer';
   }
 
   function createProject(event) {
     event.preventDefault();
     const name = newProjectName.trim();
-    const slots = Math.max(1, Number(newProjectSlots) || 4);
     if (!name) {
       return;
     }
@@ -278,19 +654,20 @@ function App() {
     const project = {
       id: uid(),
       name,
-      amsSlots: slots,
-      colors: [],
+      colorIds: [],
       plates: [],
-      currentAms: [],
+      schedule: { startAt: null, attended: null, correctTimes: false },
+      printLog: [],
+      planOrder: {},
+      flushVolumes: {},
     };
 
     setState((prev) => ({
-      projects: [...prev.projects, project],
+      ...recordChange(prev, `Create project ${name}`, [...prev.projects, project], project.id),
       selectedProjectId: project.id,
     }));
 
     setNewProjectName('');
-    setNewProjectSlots(4);
   }
 
   function addColor(event) {
@@ -304,14 +681,53 @@ function App() {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
+    // Typing the name of a library color adds that filament rather than a
+    // second one with the same name.
+    const known = state.workspace.colors.find((color) => color.name.toLowerCase() === name.toLowerCase());
+    if (known && selectedProject.colors.includes(known)) {
+      setNewColorName('');
+      return;
+    }
+
+    updateProject(selectedProject.id, `Add color ${name}`, (project) => ({
       ...project,
-      colors: [...project.colors, { id: uid(), name }],
+      colors: [...project.colors, known ?? createColor(name)],
     }));
 
     setNewColorName('');
   }
 
+  function addLibraryColor(colorId) {
+    const color = state.workspace.colors.find((c) => c.id === colorId);
+    if (!selectedProject || !color) {
+      return;
+    }
+
+    updateProject(selectedProject.id, `Add color ${color.name}`, (project) => ({
+      ...project,
+      colors: [...project.colors, color],
+    }));
+  }
+
+  // Only colors no project uses can leave the library; the AMS slots and pins
+  // holding them are cleared.
+  function deleteLibraryColor(colorId) {
+    if (state.projects.some((project) => project.colorIds.includes(colorId))) {
+      return;
+    }
+
+    setState((prev) =>
+      recordChange(prev, `Delete ${colorLabel(colorId)} from the library`, prev.projects, null, {
+        colors: prev.workspace.colors.filter((color) => color.id !== colorId),
+        printers: prev.workspace.printers.map((printer) => ({
+          ...printer,
+          currentAms: printer.currentAms.map((id) => (id === colorId ? null : id)),
+          pinnedColorIds: printer.pinnedColorIds.filter((id) => id !== colorId),
+        })),
+      })
+    );
+  }
+
   function addPlate(event) {
     event.preventDefault();
     if (!selectedProject) {
@@ -320,30 +736,53 @@ function App() {
 
     const name = newPlateName.trim();
     const printMinutes = Math.max(0, parseInt(newPlateMinutes, 10) || 0);
+    const quantity = Math.max(1, parseInt(newPlateQuantity, 10) || 1);
     if (!name) {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
+    updateProject(selectedProject.id, `Add plate ${name}`, (project) => ({
       ...project,
-      plates: [
-        ...project.plates,
-        {
-          id: uid(),
-          name,
-          printMinutes,
-          colorIds: newPlateColors,
-          printed: false,
-          printing: false,
-        },
-      ],
+      plates: [...project.plates, createPlate({ name, printMinutes, colorIds: newPlateColors, quantity })],
     }));
 
     setNewPlateName('');
     setNewPlateMinutes('');
+    setNewPlateQuantity('1');
     setNewPlateColors([]);
   }
 
+  async function importPlateFiles(files) {
+    if (!selectedProject) {
+      return;
+    }
+
+    const projectId = selectedProject.id;
+    const messages = [];
+    let failed = false;
+    for (const file of files) {
+      const reader = /\.3mf$/i.test(file.name) ? readThreeMf : /\.(gcode|gco|g)$/i.test(file.name) ? readGcode : null;
+      if (!reader) {
+        messages.push(`${file.name} is not a .3mf or .gcode file.`);
+        failed = true;
+        continue;
+      }
+
+      try {
+        const { plates } = await reader(file);
+        updateProject(projectId, `Import ${file.name}`, (project) =>
+          mergeImportedPlates(project, plates, state.workspace.colors)
+        );
+        messages.push(`Imported ${plates.length} ${plates.length === 1 ? 'plate' : 'plates'} from ${file.name}.`);
+      } catch (error) {
+        messages.push(error.message);
+        failed = true;
+      }
+    }
+
+    setImportStatus({ failed, text: messages.join(' ') });
+  }
+
   function togglePlateColor(colorId) {
     setNewPlateColors((prev) => {
       if (prev.includes(colorId)) {
@@ -358,7 +797,11 @@ function App() {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
+    const plate = selectedProject.plates.find((p) => p.id === plateId);
+    const label = plate?.colorIds.includes(colorId)
+      ? `Remove ${colorLabel(colorId)} from ${plateLabel(plateId)}`
+      : `Add ${colorLabel(colorId)} to ${plateLabel(plateId)}`;
+    updateProject(selectedProject.id, label, (project) => ({
       ...project,
       plates: project.plates.map((plate) => {
         if (plate.id !== plateId) {
@@ -376,100 +819,119 @@ function App() {
     }));
   }
 
-  function updatePlateMinutes(plateId, minutes) {
+  function updatePlateColorGrams(plateId, colorId, value) {
     if (!selectedProject) {
       return;
     }
 
-    const parsed = Math.max(0, Number(minutes) || 0);
-    updateProject(selectedProject.id, (project) => ({
+    const parsed = Math.max(0, parseInt(value, 10) || 0);
+    const label = `Change ${colorLabel(colorId)} grams on ${plateLabel(plateId)}`;
+    updateProject(selectedProject.id, label, (project) => ({
       ...project,
       plates: project.plates.map((plate) => {
         if (plate.id !== plateId) {
           return plate;
         }
 
-        return {
-          ...plate,
-          printMinutes: parsed,
-        };
+        const colorGrams = { ...plate.colorGrams };
+        if (parsed > 0) {
+          colorGrams[colorId] = parsed;
+        } else {
+          delete colorGrams[colorId];
+        }
+        return { ...plate, colorGrams };
       }),
     }));
   }
 
-  function handlePlateMinutesDraftChange(plateId, value) {
-    if (!/^\d*$/.test(value)) {
+  function updateColor(colorId, label, updater) {
+    if (!selectedProject) {
       return;
     }
 
-    setPlateMinuteDrafts((prev) => ({
-      ...prev,
-      [plateId]: value,
+    updateProject(selectedProject.id, label, (project) => ({
+      ...project,
+      colors: project.colors.map((color) => (color.id === colorId ? updater(color) : color)),
     }));
   }
 
-  function commitPlateMinutesDraft(plateId) {
-    const draft = plateMinuteDrafts[plateId];
-    if (draft === undefined) {
+  function updateSpoolGrams(colorId, value) {
+    const parsed = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    updateColor(colorId, `Change grams left on ${colorLabel(colorId)}`, (color) => ({
+      ...color,
+      spoolGrams: parsed,
+    }));
+  }
+
+  // An empty value goes back to the volume worked out from the two colors.
+  function updateFlushVolume(fromId, toId, value) {
+    if (!selectedProject) {
       return;
     }
 
-    const parsed = Math.max(0, parseInt(draft, 10) || 0);
-    updatePlateMinutes(plateId, parsed);
+    const parsed = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    const label = `Change flush from ${colorLabel(fromId)} to ${colorLabel(toId)}`;
+    updateProject(selectedProject.id, label, (project) => {
+      const volumes = { ...project.flushVolumes[fromId] };
+      if (parsed === null) {
+        delete volumes[toId];
+      } else {
+        volumes[toId] = parsed;
+      }
 
-    setPlateMinuteDrafts((prev) => {
-      const next = { ...prev };
-      delete next[plateId];
-      return next;
+      const flushVolumes = { ...project.flushVolumes, [fromId]: volumes };
+      if (Object.keys(volumes).length === 0) {
+        delete flushVolumes[fromId];
+      }
+      return { ...project, flushVolumes };
     });
   }
 
-  function handlePlateNameDraftChange(plateId, value) {
-    setPlateNameDrafts((prev) => ({
-      ...prev,
-      [plateId]: value,
+  function updateSpoolSize(colorId, value) {
+    const parsed = Math.max(1, parseInt(value, 10) || DEFAULT_SPOOL_GRAMS);
+    updateColor(colorId, `Change spool size of ${colorLabel(colorId)}`, (color) => ({
+      ...color,
+      spoolSize: parsed,
     }));
   }
 
-  function commitPlateNameDraft(plateId) {
-    const draft = plateNameDrafts[plateId];
-    if (draft === undefined || !selectedProject) {
-      return;
-    }
+  function updateColorHex(colorId, hex) {
+    updateColor(colorId, `Change color of ${colorLabel(colorId)}`, (color) => ({ ...color, hex: hex.toUpperCase() }));
+  }
 
-    const trimmed = draft.trim();
-    if (!trimmed) {
-      setPlateNameDrafts((prev) => {
-        const next = { ...prev };
-        delete next[plateId];
-        return next;
-      });
+  function updateColorMaterial(colorId, material) {
+    updateColor(colorId, `Set ${colorLabel(colorId)} material`, (color) => ({ ...color, material: material || null }));
+  }
+
+  function commitColorDraft(colorId, field) {
+    const key = `${colorId}:${field}`;
+    const draft = colorDrafts[key];
+    if (draft === undefined) {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
-      ...project,
-      plates: project.plates.map((plate) => {
-        if (plate.id !== plateId) {
-          return plate;
-        }
-        return { ...plate, name: trimmed };
-      }),
-    }));
-
-    setPlateNameDrafts((prev) => {
+    const value = field === 'brand' ? draft.trim() : draft;
+    updateColor(colorId, `Change ${colorLabel(colorId)} ${field}`, (color) => ({ ...color, [field]: value }));
+    setColorDrafts((prev) => {
       const next = { ...prev };
-      delete next[plateId];
+      delete next[key];
       return next;
     });
   }
 
-  function togglePrinted(plateId) {
+  function replaceSpool(colorId) {
+    updateColor(colorId, `New spool of ${colorLabel(colorId)}`, (color) => ({
+      ...color,
+      spoolGrams: color.spoolSize,
+    }));
+  }
+
+  function updatePlateColorRanges(plateId, label, updater) {
     if (!selectedProject) {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
+    updateProject(selectedProject.id, label, (project) => ({
       ...project,
       plates: project.plates.map((plate) => {
         if (plate.id !== plateId) {
@@ -478,78 +940,626 @@ function App() {
 
         return {
           ...plate,
-          printed: !plate.printed,
-          printing: plate.printed ? plate.printing : false,
+          colorRanges: updater(plateColorRanges(plate)),
         };
       }),
     }));
   }
 
-  function togglePrinting(plateId) {
+  function movePlateColor(plateId, colorId, offset) {
+    updatePlateColorRanges(plateId, `Reorder colors on ${plateLabel(plateId)}`, (ranges) => {
+      const index = ranges.findIndex((range) => range.colorId === colorId);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= ranges.length) {
+        return ranges;
+      }
+
+      const next = [...ranges];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }
+
+  function updatePlateColorLayer(plateId, colorId, field, value) {
+    const parsed = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    updatePlateColorRanges(plateId, `Change ${colorLabel(colorId)} layers on ${plateLabel(plateId)}`, (ranges) =>
+      ranges.map((range) => (range.colorId === colorId ? { ...range, [field]: parsed } : range))
+    );
+  }
+
+  function updatePlate(plateId, label, updater) {
     if (!selectedProject) {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
+    updateProject(selectedProject.id, label, (project) => ({
       ...project,
-      plates: project.plates.map((plate) => {
-        if (plate.printed) {
-          return plate;
-        }
+      plates: project.plates.map((plate) => (plate.id === plateId ? updater(plate) : plate)),
+    }));
+  }
 
-        if (plate.id === plateId) {
-          return {
-            ...plate,
-            printing: !plate.printing,
-          };
-        }
+  function setPlatePriority(plateId, priority) {
+    updatePlate(plateId, `Set ${plateLabel(plateId)} to ${priority} priority`, (plate) => ({ ...plate, priority }));
+  }
 
-        return {
-          ...plate,
-          printing: false,
-        };
-      }),
+  function setPlateColorChanges(plateId, value) {
+    const parsed = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    updatePlate(plateId, `Change color changes on ${plateLabel(plateId)}`, (plate) => ({
+      ...plate,
+      colorChanges: parsed,
     }));
   }
 
-  function commitProjectSettings() {
-    if (!selectedProject) {
-      return;
-    }
+  function setPlateDueAt(plateId, dueAt) {
+    const label = dueAt ? `Set due date of ${plateLabel(plateId)}` : `Clear due date of ${plateLabel(plateId)}`;
+    updatePlate(plateId, label, (plate) => ({ ...plate, dueAt: dueAt || null }));
+  }
 
-    const name = projectNameDraft.trim();
-    const slots = Math.max(1, parseInt(projectSlotsDraft, 10) || 1);
-    if (!name) {
-      setProjectNameDraft(selectedProject.name);
-      setProjectSlotsDraft(String(selectedProject.amsSlots));
+  // A plate cannot wait for one that already waits for it.
+  function addPlateDependency(plateId, otherId) {
+    if (!selectedProject || !otherId || mustPrintAfter(selectedProject.plates, otherId, plateId)) {
       return;
     }
 
-    updateProject(selectedProject.id, (project) => ({
-      ...project,
-      name,
-      amsSlots: slots,
-      currentAms: project.currentAms ?? [],
+    updatePlate(plateId, `Print ${plateLabel(plateId)} after ${plateLabel(otherId)}`, (plate) => ({
+      ...plate,
+      printAfter: [...new Set([...plate.printAfter, otherId])],
     }));
+  }
 
-    setProjectNameDraft(name);
-    setProjectSlotsDraft(String(slots));
+  function removePlateDependency(plateId, otherId) {
+    updatePlate(plateId, `Stop waiting for ${plateLabel(otherId)} before ${plateLabel(plateId)}`, (plate) => ({
+      ...plate,
+      printAfter: plate.printAfter.filter((id) => id !== otherId),
+    }));
   }
 
-  function removeColor(colorId) {
+  function updatePlateMinutes(plateId, minutes) {
     if (!selectedProject) {
       return;
     }
 
-    const blockingPlate = selectedProject.plates.find((plate) => plate.colorIds.includes(colorId));
-    if (blockingPlate) {
-      return;
-    }
-
-    updateProject(selectedProject.id, (project) => ({
+    const parsed = Math.max(0, Number(minutes) || 0);
+    updateProject(selectedProject.id, `Change print time of ${plateLabel(plateId)}`, (project) => ({
+      ...project,
+      plates: project.plates.map((plate) => {
+        if (plate.id !== plateId) {
+          return plate;
+        }
+
+        return {
+          ...plate,
+          printMinutes: parsed,
+        };
+      }),
+    }));
+  }
+
+  // Number fields that save on blur or Enter, so typing "125" is one change
+  // rather than "1", "12" and "125". `commit` gets the typed text.
+  function handleNumberDraftChange(key, value) {
+    if (!/^\d*$/.test(value)) {
+      return;
+    }
+
+    setNumberDrafts((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function commitNumberDraft(key, commit) {
+    const draft = numberDrafts[key];
+    if (draft === undefined) {
+      return;
+    }
+
+    commit(draft);
+    setNumberDrafts((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  }
+
+  function handlePlateMinutesDraftChange(plateId, value) {
+    if (!/^\d*$/.test(value)) {
+      return;
+    }
+
+    setPlateMinuteDrafts((prev) => ({
+      ...prev,
+      [plateId]: value,
+    }));
+  }
+
+  function commitPlateMinutesDraft(plateId) {
+    const draft = plateMinuteDrafts[plateId];
+    if (draft === undefined) {
+      return;
+    }
+
+    const parsed = Math.max(0, parseInt(draft, 10) || 0);
+    updatePlateMinutes(plateId, parsed);
+
+    setPlateMinuteDrafts((prev) => {
+      const next = { ...prev };
+      delete next[plateId];
+      return next;
+    });
+  }
+
+  function handlePlateQuantityDraftChange(plateId, value) {
+    if (!/^\d*$/.test(value)) {
+      return;
+    }
+
+    setPlateQuantityDrafts((prev) => ({
+      ...prev,
+      [plateId]: value,
+    }));
+  }
+
+  // A plate keeps at least the copies already printed and the one printing.
+  function commitPlateQuantityDraft(plateId) {
+    const draft = plateQuantityDrafts[plateId];
+    if (draft === undefined) {
+      return;
+    }
+
+    const plate = selectedProject?.plates.find((p) => p.id === plateId);
+    const requested = parseInt(draft, 10) || 0;
+    const quantityFor = (p) => Math.max(1, p.printedCount + (p.printing ? 1 : 0), requested);
+    if (plate && quantityFor(plate) !== plate.quantity) {
+      updatePlate(plateId, `Print ${quantityFor(plate)} of ${plateLabel(plateId)}`, (p) => {
+        const quantity = quantityFor(p);
+        return { ...p, quantity, printed: p.printedCount === quantity };
+      });
+    }
+
+    setPlateQuantityDrafts((prev) => {
+      const next = { ...prev };
+      delete next[plateId];
+      return next;
+    });
+  }
+
+  function handlePlateNameDraftChange(plateId, value) {
+    setPlateNameDrafts((prev) => ({
+      ...prev,
+      [plateId]: value,
+    }));
+  }
+
+  function commitPlateNameDraft(plateId) {
+    const draft = plateNameDrafts[plateId];
+    if (draft === undefined || !selectedProject) {
+      return;
+    }
+
+    const trimmed = draft.trim();
+    if (!trimmed) {
+      setPlateNameDrafts((prev) => {
+        const next = { ...prev };
+        delete next[plateId];
+        return next;
+      });
+      return;
+    }
+
+    updateProject(selectedProject.id, `Rename ${plateLabel(plateId)} to ${trimmed}`, (project) => ({
+      ...project,
+      plates: project.plates.map((plate) => {
+        if (plate.id !== plateId) {
+          return plate;
+        }
+        return { ...plate, name: trimmed };
+      }),
+    }));
+
+    setPlateNameDrafts((prev) => {
+      const next = { ...prev };
+      delete next[plateId];
+      return next;
+    });
+  }
+
+  function markPrinted(plateId, printed) {
+    if (!selectedProject) {
+      return;
+    }
+
+    const copies = selectedProject.plates.find((plate) => plate.id === plateId)?.quantity ?? 1;
+    const label = `Mark ${copies > 1 ? 'a copy of ' : ''}${plateLabel(plateId)} ${printed ? 'printed' : 'not printed'}`;
+    updateProject(selectedProject.id, label, (project) => markCopyPrinted(project, plateId, printed));
+  }
+
+  function togglePrinting(plateId, printerId, swaps = null) {
+    if (!selectedProject) {
+      return;
+    }
+
+    const printing = selectedProject.plates.find((plate) => plate.id === plateId)?.printing;
+    const label = printing
+      ? `Stop printing ${plateLabel(plateId)}`
+      : `Start ${plateLabel(plateId)} on ${printerLabel(printerId)}`;
+    updateProject(selectedProject.id, label, (project) => togglePlatePrinting(project, plateId, printerId, swaps));
+  }
+
+  function failPrint(plateId, details) {
+    if (!selectedProject) {
+      return;
+    }
+
+    setFailingPlateId(null);
+    const label = `Mark ${plateLabel(plateId)} failed${details.reprint ? ' and restart it' : ''}`;
+    updateProject(selectedProject.id, label, (project) => failPlatePrint(project, plateId, details));
+  }
+
+  // Run mode loads the step's swaps into the AMS when the print starts, so
+  // the saved layout follows the printer without editing the slots by hand.
+  // Start is only offered once every task is ticked, so the spools the step
+  // asked to replace are full again.
+  function startRunStep(step, printerId) {
+    if (!selectedProject) {
+      return;
+    }
+
+    const layout = [...step.slotsBefore];
+    for (const change of step.slotChanges) {
+      layout[change.slot] = change.load;
+    }
+    const refilled = new Set(step.spoolRefills.map((refill) => refill.colorId));
+    updateProject(selectedProject.id, `Start ${step.plateName} on ${printerLabel(printerId)}`, (project) => {
+      const started = project.plates.find((plate) => plate.id === step.plateId)?.printing;
+      const next = started ? project : togglePlatePrinting(project, step.plateId, printerId, step.swaps);
+      return {
+        ...next,
+        colors: started
+          ? next.colors
+          : next.colors.map((color) => (refilled.has(color.id) ? { ...color, spoolGrams: color.spoolSize } : color)),
+        printers: project.printers.map((printer) =>
+          printer.id === printerId ? { ...printer, currentAms: layout } : printer
+        ),
+      };
+    });
+  }
+
+  function finishRunStep(step, printerId) {
+    if (!selectedProject) {
+      return;
+    }
+
+    updateProject(selectedProject.id, `Finish ${step.plateName}`, (project) => {
+      // Only the copy printing now is finished, once.
+      const printing = project.plates.find((plate) => plate.id === step.plateId)?.printing;
+      return {
+        ...(printing ? markCopyPrinted(project, step.plateId, true) : project),
+        printers: project.printers.map((printer) =>
+          printer.id === printerId ? { ...printer, currentAms: [...step.slotsAfter] } : printer
+        ),
+      };
+    });
+  }
+
+  // Each edit stores the lane's whole order as shown, so the unlocked plates
+  // keep the places between the locked ones.
+  function setLaneOrder(printerId, label, entries) {
+    if (!selectedProject) {
+      return;
+    }
+
+    updateProject(selectedProject.id, label, (project) => {
+      const planOrder = Object.fromEntries(Object.entries(project.planOrder).filter(([id]) => id !== printerId));
+      return {
+        ...project,
+        planOrder: entries.some((entry) => entry.locked) ? { ...planOrder, [printerId]: entries } : planOrder,
+      };
+    });
+  }
+
+  // A dragged plate is locked where it is dropped; the planner reorders the
+  // unlocked ones around it.
+  function moveStep(lane, from, to) {
+    if (from === to) {
+      return;
+    }
+
+    const steps = [...lane.steps];
+    const [moved] = steps.splice(from, 1);
+    steps.splice(to, 0, moved);
+    setLaneOrder(
+      lane.printerId,
+      `Move ${moved.plateName} to position ${to + 1}`,
+      steps.map((step) => ({ plateId: step.plateId, locked: step.locked || step === moved }))
+    );
+  }
+
+  function toggleStepLock(lane, index) {
+    const target = lane.steps[index];
+    setLaneOrder(
+      lane.printerId,
+      `${target.locked ? 'Unlock' : 'Lock'} ${target.plateName}`,
+      lane.steps.map((step) => ({ plateId: step.plateId, locked: step === target ? !step.locked : step.locked }))
+    );
+  }
+
+  function lockStepsThrough(lane, index) {
+    setLaneOrder(
+      lane.printerId,
+      `Lock the first ${index + 1} plates`,
+      lane.steps.map((step, stepIndex) => ({ plateId: step.plateId, locked: step.locked || stepIndex <= index }))
+    );
+  }
+
+  function unlockLane(printerId) {
+    setLaneOrder(printerId, `Unlock the order on ${printerLabel(printerId)}`, []);
+  }
+
+  function commitProjectSettings() {
+    if (!selectedProject) {
+      return;
+    }
+
+    const name = projectNameDraft.trim();
+    if (!name) {
+      setProjectNameDraft(selectedProject.name);
+      return;
+    }
+
+    updateProject(selectedProject.id, `Rename project to ${name}`, (project) => ({
+      ...project,
+      name,
+    }));
+
+    setProjectNameDraft(name);
+  }
+
+  function updateSchedule(label, changes) {
+    if (!selectedProject) {
+      return;
+    }
+
+    updateProject(selectedProject.id, label, (project) => ({
+      ...project,
+      schedule: { ...project.schedule, ...changes },
+    }));
+  }
+
+  function updateAttendedHours(field, value) {
+    const attended = selectedProject?.schedule.attended;
+    if (!attended || !value) {
+      return;
+    }
+    updateSchedule('Change attended hours', { attended: { ...attended, [field]: value } });
+  }
+
+  function updatePrinter(printerId, label, updater) {
+    if (!selectedProject) {
+      return;
+    }
+
+    updateProject(selectedProject.id, label, (project) => ({
+      ...project,
+      printers: project.printers.map((printer) => (printer.id === printerId ? updater(printer) : printer)),
+    }));
+  }
+
+  function addPrinter() {
+    if (!selectedProject) {
+      return;
+    }
+
+    const last = selectedProject.printers[selectedProject.printers.length - 1];
+    updateProject(selectedProject.id, 'Add printer', (project) => ({
+      ...project,
+      printers: [...project.printers, createPrinter(`Printer ${project.printers.length + 1}`, last?.amsSlots)],
+    }));
+  }
+
+  function removePrinter(printerId) {
+    if (!selectedProject || selectedProject.printers.length <= 1) {
+      return;
+    }
+
+    updateProject(selectedProject.id, `Remove ${printerLabel(printerId)}`, (project) => ({
+      ...project,
+      printers: project.printers.filter((printer) => printer.id !== printerId),
+      plates: project.plates.map((plate) =>
+        plate.printerId === printerId ? { ...plate, printing: false, printerId: null } : plate
+      ),
+    }));
+    if (printerLinks[printerId]) {
+      disconnectPrinter(printerId);
+    }
+  }
+
+  function connectPrinter(printerId) {
+    const draft = { kind: PRINTER_LINK_KINDS[0].value, url: '', apiKey: '', ...printerLinkDrafts[printerId] };
+    const url = draft.url.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      setPrinterReadings((prev) => ({
+        ...prev,
+        [printerId]: { failed: true, text: 'Enter the printer address, starting with http:// or https://.' },
+      }));
+      return;
+    }
+
+    const links = { ...printerLinks, [printerId]: { kind: draft.kind, url, apiKey: draft.apiKey.trim() } };
+    savePrinterLinks(links);
+    setPrinterLinks(links);
+    clearPrinterDraft(setPrinterLinkDrafts, printerId);
+    clearPrinterDraft(setPrinterReadings, printerId);
+  }
+
+  function disconnectPrinter(printerId) {
+    const links = { ...printerLinks };
+    delete links[printerId];
+    savePrinterLinks(links);
+    setPrinterLinks(links);
+    clearPrinterDraft(setPrinterReadings, printerId);
+    delete lastJobStates.current[printerId];
+  }
+
+  async function readLinkedPrinters() {
+    for (const [printerId, link] of Object.entries(latest.current.printerLinks)) {
+      let status;
+      try {
+        status = await readPrinterStatus(link);
+      } catch (error) {
+        setPrinterReadings((prev) => ({ ...prev, [printerId]: { failed: true, text: error.message } }));
+        continue;
+      }
+
+      const previousJobState = lastJobStates.current[printerId];
+      lastJobStates.current[printerId] = status.job.state;
+      applyPrinterStatus(printerId, status, previousJobState);
+    }
+  }
+
+  // Takes in what a connected printer reports: the filament in its slots and
+  // plates starting or finishing. Plates only move when the job state changes,
+  // so a printer still showing its last finished job does not finish the next
+  // plate the moment it is started by hand.
+  function applyPrinterStatus(printerId, status, previousJobState) {
+    const { state: current } = latest.current;
+    const stored = current.projects.find((project) => project.id === current.selectedProjectId);
+    const project = stored ? resolveProject(stored, current.workspace) : null;
+    const printer = project?.printers.find((p) => p.id === printerId);
+    if (!printer) {
+      return;
+    }
+
+    const { job } = status;
+    const colors = [...project.colors, ...current.workspace.colors.filter((color) => !project.colors.includes(color))];
+    const trays = status.trays ? matchTrays(status.trays, colors, printer.amsSlots) : null;
+    const layout = trays?.layout.map((colorId, slot) => (printer.reservedSlots.includes(slot) ? null : colorId));
+    const amsChanged = layout?.some((colorId, slot) => colorId !== (printer.currentAms[slot] ?? null));
+
+    const active = project.plates.find((plate) => plate.printing && !plate.printed && plate.printerId === printerId);
+    const jobChanged = job.state !== previousJobState;
+    const start =
+      jobChanged && job.state === 'printing' && !active
+        ? findJobPlate(project.plates.filter((plate) => !plate.printed && !plate.printing), job.fileName)
+        : null;
+    const finish =
+      jobChanged && job.state === 'finished' && ['printing', 'paused'].includes(previousJobState) ? active : null;
+
+    // A reading is what the printer reports rather than an edit, so it stays
+    // out of the undo history; starting or finishing a plate does not.
+    if (amsChanged) {
+      setState((prev) => ({
+        ...prev,
+        workspace: {
+          ...prev.workspace,
+          printers: prev.workspace.printers.map((p) => (p.id === printerId ? { ...p, currentAms: layout } : p)),
+        },
+      }));
+    }
+    if (start || finish) {
+      const label = start ? `Start ${start.name} on ${printer.name}` : `Finish ${finish.name}`;
+      updateProject(project.id, label, (view) => {
+        let next = view;
+        if (start) {
+          next = togglePlatePrinting(next, start.id, printerId);
+        }
+        if (finish) {
+          next = markCopyPrinted(next, finish.id, true);
+        }
+        return next;
+      });
+    }
+
+    setPrinterReadings((prev) => ({
+      ...prev,
+      [printerId]: { failed: false, text: describeJob(job), unmatched: trays?.unmatched ?? [] },
+    }));
+  }
+
+  function clearPrinterDraft(setDrafts, printerId) {
+    setDrafts((prev) => {
+      const next = { ...prev };
+      delete next[printerId];
+      return next;
+    });
+  }
+
+  function commitPrinterNameDraft(printerId) {
+    const draft = printerNameDrafts[printerId];
+    if (draft === undefined) {
+      return;
+    }
+
+    const trimmed = draft.trim();
+    if (trimmed) {
+      updatePrinter(printerId, `Rename ${printerLabel(printerId)} to ${trimmed}`, (printer) => ({
+        ...printer,
+        name: trimmed,
+      }));
+    }
+    clearPrinterDraft(setPrinterNameDrafts, printerId);
+  }
+
+  function commitPrinterSlotsDraft(printerId) {
+    const draft = printerSlotDrafts[printerId];
+    if (draft === undefined) {
+      return;
+    }
+
+    const slots = Math.max(1, parseInt(draft, 10) || 1);
+    updatePrinter(printerId, `Set ${printerLabel(printerId)} to ${slots} AMS slots`, (printer) => ({
+      ...printer,
+      amsSlots: slots,
+      currentAms: normalizeAmsLayout(printer.currentAms, slots),
+      reservedSlots: printer.reservedSlots.filter((slot) => slot < slots),
+    }));
+    clearPrinterDraft(setPrinterSlotDrafts, printerId);
+  }
+
+  function toggleReservedSlot(printerId, slotIndex) {
+    const printer = selectedProject?.printers.find((p) => p.id === printerId);
+    if (!printer) {
+      return;
+    }
+
+    const reserved = printer.reservedSlots.includes(slotIndex);
+    const label = `${reserved ? 'Free' : 'Reserve'} ${printerLabel(printerId)} slot ${slotIndex + 1}`;
+    updatePrinter(printerId, label, (current) => ({
+      ...current,
+      currentAms: reserved ? current.currentAms : current.currentAms.map((id, slot) => (slot === slotIndex ? null : id)),
+      reservedSlots: reserved
+        ? current.reservedSlots.filter((slot) => slot !== slotIndex)
+        : [...current.reservedSlots, slotIndex].sort((a, b) => a - b),
+    }));
+  }
+
+  function togglePinnedColor(printerId, colorId) {
+    const printer = selectedProject?.printers.find((p) => p.id === printerId);
+    if (!printer) {
+      return;
+    }
+
+    const pinned = printer.pinnedColorIds.includes(colorId);
+    const label = `${pinned ? 'Unpin' : 'Pin'} ${colorLabel(colorId)} on ${printerLabel(printerId)}`;
+    updatePrinter(printerId, label, (current) => ({
+      ...current,
+      pinnedColorIds: pinned
+        ? current.pinnedColorIds.filter((id) => id !== colorId)
+        : [...current.pinnedColorIds, colorId],
+    }));
+  }
+
+  function removeColor(colorId) {
+    if (!selectedProject) {
+      return;
+    }
+
+    const blockingPlate = selectedProject.plates.find((plate) => plate.colorIds.includes(colorId));
+    if (blockingPlate) {
+      return;
+    }
+
+    // The color stays in the library and wherever it is loaded.
+    updateProject(selectedProject.id, `Remove color ${colorLabel(colorId)}`, (project) => ({
       ...project,
       colors: project.colors.filter((color) => color.id !== colorId),
-      currentAms: (project.currentAms ?? []).filter((id) => id !== colorId),
       plates: project.plates.map((plate) => ({
         ...plate,
         colorIds: plate.colorIds.filter((id) => id !== colorId),
@@ -557,26 +1567,219 @@ function App() {
     }));
   }
 
-  function togglePlanColor(colorId) {
-    if (!selectedProject) {
+  function setAmsSlotColor(printerId, slotIndex, colorId) {
+    const label = colorId
+      ? `Load ${colorLabel(colorId)} in ${printerLabel(printerId)} slot ${slotIndex + 1}`
+      : `Empty ${printerLabel(printerId)} slot ${slotIndex + 1}`;
+    updatePrinter(printerId, label, (printer) => {
+      const layout = normalizeAmsLayout(printer.currentAms, printer.amsSlots).map((id) =>
+        id === colorId ? null : id
+      );
+      layout[slotIndex] = colorId || null;
+
+      return {
+        ...printer,
+        currentAms: layout,
+      };
+    });
+  }
+
+  function exportWorkspace() {
+    const fileName = `filament-swapper-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadProjects(resolvedProjects, fileName, state.workspace);
+  }
+
+  function exportProject(project) {
+    downloadProjects([project], `${fileSlug(project.name)}.filament-swapper.json`);
+  }
+
+  async function shareProject(project) {
+    let url;
+    try {
+      url = await createShareUrl(project);
+    } catch (error) {
+      setShareStatus({ failed: true, text: `Could not create a share link: ${error.message}` });
       return;
     }
 
-    updateProject(selectedProject.id, (project) => {
-      const existing = (project.currentAms ?? []).filter((id) => project.colors.some((color) => color.id === id));
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus({ failed: false, text: 'Link copied. Anyone with it can view this snapshot of the project.', url });
+    } catch {
+      setShareStatus({
+        failed: false,
+        text: 'Copy the link below. Anyone with it can view this snapshot of the project.',
+        url,
+      });
+    }
+  }
 
-      if (existing.includes(colorId)) {
-        return {
-          ...project,
-          currentAms: existing.filter((id) => id !== colorId),
-        };
-      }
+  function closeSharedProject() {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setSharedProject(null);
+    setSharedLinkError(null);
+  }
 
+  function copySharedProject() {
+    setState((prev) => {
+      const current = projectViews(prev);
+      const next = storeProjectViews(
+        prev,
+        applyProjectImport(current, [sharedProject], { [sharedProject.id]: 'copy' }),
+        current
+      );
+      const copy = next.projects[next.projects.length - 1];
       return {
-        ...project,
-        currentAms: [...existing, colorId],
+        ...recordChange(prev, `Copy shared project ${sharedProject.name}`, next.projects, copy.id, next.workspace),
+        selectedProjectId: copy.id,
+      };
+    });
+    closeSharedProject();
+  }
+
+  async function runRemoteSync() {
+    const settings = latest.current.remoteSettings;
+    if (!settings.enabled || remoteSyncRunning.current) {
+      return;
+    }
+
+    remoteSyncRunning.current = true;
+    try {
+      await withSyncLock(async () => {
+        const startProjects = projectViews(latest.current.state);
+        const remote = queueLocalChanges(loadRemoteState(), startProjects);
+        const result = await syncProjects(settings, remote, startProjects);
+        const current = projectViews(latest.current.state);
+        const applied = applyRemoteChanges(current, startProjects, result);
+        saveRemoteState(applied.remote);
+        setRemoteSync(applied.remote);
+        if (applied.projects !== current) {
+          setState((prev) => ({ ...prev, ...storeProjectViews(prev, applied.projects, current, true) }));
+        }
+        setRemoteStatus(result.error ? { failed: true, text: result.error } : null);
+      });
+    } finally {
+      remoteSyncRunning.current = false;
+    }
+  }
+
+  function enableRemoteSync(event) {
+    event.preventDefault();
+    const url = remoteUrlDraft.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      setRemoteStatus({ failed: true, text: 'Enter the server address, starting with http:// or https://.' });
+      return;
+    }
+
+    // Sync stamps belong to one server; starting over sends every project.
+    if (url !== remoteSettings.url) {
+      saveRemoteState(emptyRemoteState());
+      setRemoteSync(emptyRemoteState());
+    }
+    const settings = { url, token: remoteTokenDraft.trim(), enabled: true };
+    saveRemoteSettings(settings);
+    setRemoteSettings(settings);
+    setRemoteStatus(null);
+  }
+
+  function disableRemoteSync() {
+    const settings = { ...remoteSettings, enabled: false };
+    saveRemoteSettings(settings);
+    setRemoteSettings(settings);
+    setRemoteStatus(null);
+  }
+
+  function resolveRemoteSyncConflict(conflict, choice) {
+    const local = state.projects.find((project) => project.id === conflict.projectId);
+    const name = local?.name ?? conflict.project?.name ?? 'project';
+    if (choice === 'theirs') {
+      setState((prev) => {
+        const current = projectViews(prev);
+        const views = conflict.project
+          ? local
+            ? current.map((project) => (project.id === conflict.projectId ? conflict.project : project))
+            : [...current, conflict.project]
+          : current.filter((project) => project.id !== conflict.projectId);
+        const next = storeProjectViews(prev, views, current, true);
+        return recordChange(prev, `Use other device's ${name}`, next.projects, conflict.projectId, next.workspace);
+      });
+    } else if (choice === 'both' && conflict.project) {
+      const copy = copyProject(conflict.project, `${conflict.project.name} (other device)`);
+      setState((prev) => {
+        const current = projectViews(prev);
+        const next = storeProjectViews(prev, [...current, copy], current);
+        return recordChange(prev, `Keep other device's ${name} as a copy`, next.projects, copy.id, next.workspace);
+      });
+    }
+
+    const remote = resolveRemoteConflict(loadRemoteState(), conflict, choice === 'theirs');
+    saveRemoteState(remote);
+    setRemoteSync(remote);
+    setTimeout(runRemoteSync);
+  }
+
+  function resolveSyncConflict(conflict, choice) {
+    setSyncConflicts((prev) => prev.filter((open) => open.projectId !== conflict.projectId));
+    if (choice === 'theirs') {
+      setState((prev) =>
+        recordChange(
+          prev,
+          `Use other tab's ${conflict.stored.name}`,
+          prev.projects.map((project) => (project.id === conflict.projectId ? conflict.stored : project)),
+          conflict.projectId
+        )
+      );
+    } else if (choice === 'both') {
+      const copy = copyProject(conflict.stored, `${conflict.stored.name} (other tab)`);
+      setState((prev) =>
+        recordChange(prev, `Keep other tab's ${conflict.stored.name} as a copy`, [...prev.projects, copy], copy.id)
+      );
+    }
+  }
+
+  function importProjects(projects, choices) {
+    const label = `Import ${projects.length} ${projects.length === 1 ? 'project' : 'projects'}`;
+    setState((prev) => {
+      const current = projectViews(prev);
+      const next = storeProjectViews(prev, applyProjectImport(current, projects, choices), current);
+      return {
+        ...recordChange(prev, label, next.projects, null, next.workspace),
+        selectedProjectId: prev.selectedProjectId ?? next.projects[0]?.id ?? null,
       };
     });
+    setPendingImport(null);
+    setTransferStatus({
+      failed: false,
+      text: `Imported ${projects.length} ${projects.length === 1 ? 'project' : 'projects'}.`,
+    });
+  }
+
+  async function readProjectFile(file) {
+    if (!file) {
+      return;
+    }
+
+    try {
+      const projects = parseProjectFile(await file.text());
+      if (projects.length === 0) {
+        setTransferStatus({ failed: true, text: `${file.name} does not contain any projects.` });
+        return;
+      }
+
+      const conflicts = projects.filter((project) => findNameConflict(state.projects, project));
+      if (conflicts.length === 0) {
+        importProjects(projects, {});
+        return;
+      }
+
+      setTransferStatus(null);
+      setPendingImport({
+        projects,
+        choices: Object.fromEntries(conflicts.map((project) => [project.id, 'merge'])),
+      });
+    } catch (error) {
+      setTransferStatus({ failed: true, text: `${file.name}: ${error.message}` });
+    }
   }
 
   function setSelectedProjectId(projectId) {
@@ -586,18 +1789,80 @@ function App() {
     }));
   }
 
+  const openConflicts = [
+    ...syncConflicts.map((conflict) => ({
+      key: `tab-${conflict.projectId}`,
+      name: conflict.stored.name,
+      where: 'Also changed in another open tab.',
+      deleted: false,
+      resolve: (choice) => resolveSyncConflict(conflict, choice),
+    })),
+    ...remoteSync.conflicts.map((conflict) => ({
+      key: `device-${conflict.projectId}`,
+      name:
+        state.projects.find((project) => project.id === conflict.projectId)?.name ?? conflict.project?.name ?? 'Project',
+      where: conflict.project ? 'Also changed on another device.' : 'Deleted on another device.',
+      deleted: !conflict.project,
+      resolve: (choice) => resolveRemoteSyncConflict(conflict, choice),
+    })),
+  ];
   const colorNameById = new Map((selectedProject?.colors ?? []).map((c) => [c.id, c.name]));
+  const colorById = new Map(state.workspace.colors.map((c) => [c.id, c]));
+  const libraryColors = [...state.workspace.colors]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((color) => ({
+      color,
+      projectCount: state.projects.filter((project) => project.colorIds.includes(color.id)).length,
+    }));
   const usedColorIds = new Set((selectedProject?.plates ?? []).flatMap((plate) => plate.colorIds));
   const printingPlateIds = new Set(
     (selectedProject?.plates ?? []).filter((plate) => plate.printing && !plate.printed).map((plate) => plate.id)
   );
-  const hasPrintingPlate = printingPlateIds.size > 0;
+  const busyPrinterIds = new Set(
+    (selectedProject?.plates ?? []).filter((plate) => plate.printing && !plate.printed).map((plate) => plate.printerId)
+  );
+  const idlePrinter = printers.find((printer) => !busyPrinterIds.has(printer.id)) ?? null;
+  const isMultiPrinter = printers.length > 1;
+  const freeSlotsOf = (printer) => printer.amsSlots - printer.reservedSlots.length - printer.pinnedColorIds.length;
+  const minPrinterSlots = Math.min(...printers.map((printer) => printer.amsSlots));
+  const printerNameById = new Map(printers.map((printer) => [printer.id, printer.name]));
+  const printLog = [...(selectedProject?.printLog ?? [])].reverse();
+  // The copy that failed is the next one to print, so only its step shows the retry.
+  const plateFailed = new Map(
+    (selectedProject?.plates ?? [])
+      .filter((plate) => plate.failed)
+      .map((plate) => [plate.id, plate.printedCount + 1])
+  );
+  const failingPlate = selectedProject?.plates.find((plate) => plate.id === failingPlateId && plate.printing) ?? null;
+  const usageByColor = filamentUsage(selectedProject?.printLog ?? []);
+  const failedPrints = printLog.filter((entry) => entry.failed).length;
+  const printedGrams = [...usageByColor.values()].reduce((sum, usage) => sum + usage.printed, 0);
+  const wastedGrams = [...usageByColor.values()].reduce((sum, usage) => sum + usage.wasted, 0);
+  const timeCorrections = selectedProject
+    ? [
+        { key: 'all', name: isMultiPrinter ? 'Your printers overall' : 'Your printer', printerId: null },
+        ...(isMultiPrinter
+          ? printers.map((printer) => ({ key: printer.id, name: printer.name, printerId: printer.id }))
+          : []),
+      ]
+        .map((target) => ({ ...target, correction: timeCorrection(selectedProject.printLog, target.printerId) }))
+        .filter((target) => target.correction)
+    : [];
   const activePlates = selectedProject
     ? [...selectedProject.plates]
         .filter((p) => !p.printed)
         .sort((a, b) => a.name.localeCompare(b.name))
     : [];
 
+  function describeSlotChange(change) {
+    return [
+      change.remove && `remove ${colorNameById.get(change.remove)}`,
+      change.load && `load ${colorNameById.get(change.load)}`,
+    ]
+      .filter(Boolean)
+      .join(', ');
+  }
+
   function colorsForPlate(plate) {
     return [...sortedProjectColors].sort((a, b) => {
       const aSelected = plate.colorIds.includes(a.id);
@@ -633,26 +1898,167 @@ function App() {
             </p>
             <p className="rounded-md bg-sky-100 px-3 py-2 text-sky-900">
               Privacy note: your data is stored in your browser local storage only. No project data is sent to any
-              server.
+              server unless you turn on Device sync with a server you run yourself. Use Export all under Projects to keep a backup file or move projects to another browser. Share
+              links carry the project inside the part of the link after #, which browsers never send to a server.
             </p>
             <p className="font-semibold">General steps</p>
             <ol className="list-decimal space-y-1 pl-5">
-              <li>Create a project and set your AMS slot count.</li>
-              <li>Add the filament colors needed for the project.</li>
-              <li>Add each plate, set colors, and optionally add estimated print time.</li>
-              <li>In Plan, choose what colors are currently in the AMS.</li>
-              <li>Follow the suggested order and swap instructions, then mark plates printed.</li>
+              <li>Create a project and set your printers' AMS slot count; printers are shared by all projects.</li>
+              <li>Optionally mark AMS slots you cannot use and colors that always stay loaded on each printer.</li>
+              <li>Add the filament colors needed for the project, or pick them from the filament library.</li>
+              <li>
+                Add each plate, set colors, and optionally add estimated print time and grams per color, or import
+                them from a sliced .3mf project or .gcode file.
+              </li>
+              <li>Optionally give plates a priority, a due date, or plates that have to print before them.</li>
+              <li>Enter what is left on each spool to get a warning before a spool runs out mid-plate.</li>
+              <li>
+                Optionally copy your slicer's flush volumes under the project colors and plan for the least purge
+                instead of the fewest swaps.
+              </li>
+              <li>In Plan, choose which color is loaded in each AMS slot, or connect the printer to read it.</li>
+              <li>Optionally set a start time and the hours someone is around to see when each plate starts and ends.</li>
+              <li>
+                Follow the suggested order and swap instructions, then mark plates printed. Drag a plate or lock it to
+                keep it at its place; the planner orders the rest.
+              </li>
             </ol>
             <p className="rounded-md bg-amber-100 px-3 py-2 text-amber-900">
               Hobby disclaimer: this site is built for hobbyists and hobby workflows. It is not intended for serious
               print-farm scheduling or production-critical planning.
             </p>
           </div>
-        </details>
+        </details>
+
+        {recoveryEntries.length > 0 && (
+          <section className="mt-8 rounded-xl border border-rose-300 bg-rose-50 p-6 text-sm text-rose-900">
+            <h2 className="text-lg font-semibold">Some saved data could not be loaded</h2>
+            <p className="mt-1">
+              A copy of the saved data was kept in this browser. Download it, fix or share it for help, and load it again
+              with Import file under Projects.
+            </p>
+            <ul className="mt-3 space-y-3">
+              {recoveryEntries.map((entry) => (
+                <li key={entry.id} className="rounded-md border border-rose-200 bg-white p-3">
+                  <p className="font-medium">
+                    {new Date(entry.savedAt).toLocaleString()}: {entry.reason}
+                  </p>
+                  {entry.issues?.length > 0 && (
+                    <ul className="mt-1 list-disc pl-5 text-xs">
+                      {entry.issues.map((issue, index) => (
+                        <li key={index}>{issue}</li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="mt-2 flex gap-2">
+                    <button
+                      type="button"
+                      className="rounded-md bg-slate-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-slate-800"
+                      onClick={() => downloadText(entry.raw, `filament-swapper-recovery-${entry.savedAt.slice(0, 10)}.json`)}
+                    >
+                      Download copy
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                      onClick={() => {
+                        if (window.confirm('Delete this recovery copy? It cannot be restored afterwards.')) {
+                          setRecoveryEntries(discardRecoveryEntry(entry.id));
+                        }
+                      }}
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {openConflicts.length > 0 && (
+          <section className="mt-8 rounded-xl border border-amber-300 bg-amber-50 p-6 text-sm text-amber-900">
+            <h2 className="text-lg font-semibold">Edited in two places</h2>
+            <p className="mt-1">
+              These projects were changed here and somewhere else at the same time. Until you choose, the other
+              version stays saved.
+            </p>
+            <ul className="mt-3 space-y-2">
+              {openConflicts.map((conflict) => (
+                <li
+                  key={conflict.key}
+                  className="flex flex-col gap-2 rounded-md border border-amber-200 bg-white p-3 md:flex-row md:items-center md:justify-between"
+                >
+                  <div>
+                    <p className="font-medium">{conflict.name}</p>
+                    <p className="text-xs">{conflict.where}</p>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      className="rounded-md bg-slate-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-slate-800"
+                      onClick={() => conflict.resolve('mine')}
+                    >
+                      Keep this version
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                      onClick={() => conflict.resolve('theirs')}
+                    >
+                      {conflict.deleted ? 'Delete it here too' : 'Use the other version'}
+                    </button>
+                    {!conflict.deleted && (
+                      <button
+                        type="button"
+                        className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                        onClick={() => conflict.resolve('both')}
+                      >
+                        Keep both
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {runMode && selectedProject && (
+          <RunMode
+            projectName={selectedProject.name}
+            lanes={planner.lanes}
+            colorById={colorById}
+            onStart={startRunStep}
+            onFinish={finishRunStep}
+            onFail={(step) => setFailingPlateId(step.plateId)}
+            onClose={() => setRunMode(false)}
+          />
+        )}
+        {failingPlate && (
+          <FailPrintDialog
+            key={failingPlate.id}
+            plateName={failingPlate.name}
+            defaultGrams={estimateWaste(selectedProject.printLog, failingPlate, now)}
+            onConfirm={(details) => failPrint(failingPlate.id, details)}
+            onCancel={() => setFailingPlateId(null)}
+          />
+        )}
+        {sharedProject && (
+          <SharedProjectPreview project={sharedProject} onCopy={copySharedProject} onClose={closeSharedProject} />
+        )}
+        {sharedLinkError && (
+          <div className="mt-8 flex items-center justify-between gap-4 rounded-md bg-rose-100 px-4 py-3 text-sm text-rose-800">
+            <p>{sharedLinkError}</p>
+            <button type="button" className="text-xs font-semibold underline" onClick={closeSharedProject}>
+              Dismiss
+            </button>
+          </div>
+        )}
 
         <section className="mt-8 grid gap-6 rounded-xl bg-white p-6 shadow">
           <h2 className="text-xl font-semibold">New Project</h2>
-          <form className="grid gap-4 md:grid-cols-3" onSubmit={createProject}>
+          <form className="grid gap-4 md:grid-cols-2" onSubmit={createProject}>
             <label className="grid gap-2 text-sm font-medium">
               Project name
               <input
@@ -663,17 +2069,6 @@ function App() {
               />
             </label>
 
-            <label className="grid gap-2 text-sm font-medium">
-              AMS color slots
-              <input
-                type="number"
-                min={1}
-                className="rounded-md border border-slate-300 px-3 py-2"
-                value={newProjectSlots}
-                onChange={(e) => setNewProjectSlots(e.target.value)}
-              />
-            </label>
-
             <div className="flex items-end">
               <button
                 type="submit"
@@ -701,12 +2096,240 @@ function App() {
                     }`}
                   >
                     <div className="font-medium">{project.name}</div>
-                    <div className="text-xs opacity-80">Slots: {project.amsSlots}</div>
+                    <div className="text-xs opacity-80">
+                      {project.plates.length} {project.plates.length === 1 ? 'plate' : 'plates'},{' '}
+                      {project.colorIds.length} {project.colorIds.length === 1 ? 'color' : 'colors'}
+                    </div>
                   </button>
                 </li>
               ))}
               {state.projects.length === 0 && <li className="text-sm text-slate-500">No projects yet.</li>}
             </ul>
+
+            <div className="mt-6 border-t border-slate-200 pt-4">
+              <h3 className="text-sm font-semibold">Filament library</h3>
+              <p className="mt-1 text-xs text-slate-500">Shared by all projects, with one spool count per filament.</p>
+              <ul className="mt-2 space-y-1">
+                {libraryColors.map(({ color, projectCount }) => (
+                  <li key={color.id} className="flex items-center justify-between gap-2 text-xs">
+                    <span className="flex items-center gap-2">
+                      <ColorSwatch color={color} size="h-3 w-3" />
+                      {color.name}
+                      <span className="text-slate-500">
+                        {projectCount === 0
+                          ? 'unused'
+                          : `${projectCount} ${projectCount === 1 ? 'project' : 'projects'}`}
+                      </span>
+                    </span>
+                    {projectCount === 0 && (
+                      <button
+                        type="button"
+                        className="rounded border border-rose-300 px-2 py-0.5 font-semibold text-rose-700 hover:bg-rose-50"
+                        onClick={() => deleteLibraryColor(color.id)}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </li>
+                ))}
+                {libraryColors.length === 0 && <li className="text-xs text-slate-500">No filaments yet.</li>}
+              </ul>
+            </div>
+
+            <div className="mt-6 border-t border-slate-200 pt-4">
+              <h3 className="text-sm font-semibold">Backup</h3>
+              <div className="mt-2 flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  disabled={state.projects.length === 0}
+                  className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100 disabled:opacity-40"
+                  onClick={exportWorkspace}
+                >
+                  Export all
+                </button>
+                <label className="cursor-pointer rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100">
+                  Import file
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    className="sr-only"
+                    onChange={(e) => {
+                      readProjectFile(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+              </div>
+
+              {pendingImport && (
+                <div className="mt-3 rounded-md border border-amber-300 bg-amber-50 p-3 text-xs text-amber-900">
+                  <p className="font-semibold">Some projects already exist</p>
+                  <ul className="mt-2 space-y-2">
+                    {pendingImport.projects
+                      .filter((project) => pendingImport.choices[project.id])
+                      .map((project) => (
+                        <li key={project.id} className="grid gap-1">
+                          <span className="font-medium">{project.name}</span>
+                          <select
+                            className="rounded-md border border-amber-300 bg-white px-2 py-1 text-xs"
+                            value={pendingImport.choices[project.id]}
+                            onChange={(e) =>
+                              setPendingImport((prev) => ({
+                                ...prev,
+                                choices: { ...prev.choices, [project.id]: e.target.value },
+                              }))
+                            }
+                          >
+                            <option value="merge">Merge: add missing colors and plates</option>
+                            <option value="replace">Replace the existing project</option>
+                            <option value="copy">Keep both</option>
+                          </select>
+                        </li>
+                      ))}
+                  </ul>
+                  <div className="mt-3 flex gap-2">
+                    <button
+                      type="button"
+                      className="rounded-md bg-slate-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-slate-800"
+                      onClick={() => importProjects(pendingImport.projects, pendingImport.choices)}
+                    >
+                      Import
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-slate-300 bg-white px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                      onClick={() => setPendingImport(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {transferStatus && (
+                <p
+                  className={`mt-3 rounded px-3 py-2 text-xs ${
+                    transferStatus.failed ? 'bg-rose-100 text-rose-800' : 'bg-emerald-100 text-emerald-800'
+                  }`}
+                >
+                  {transferStatus.text}
+                </p>
+              )}
+            </div>
+
+            <div className="mt-6 border-t border-slate-200 pt-4">
+              <h3 className="text-sm font-semibold">Device sync</h3>
+              {remoteSettings.enabled ? (
+                <div className="mt-2 grid gap-2 text-xs text-slate-600">
+                  <p className="break-all">Syncing with {remoteSettings.url}</p>
+                  <p>
+                    {remoteSync.lastSyncedAt
+                      ? `Last synced ${new Date(remoteSync.lastSyncedAt).toLocaleTimeString()}`
+                      : 'Not synced yet'}
+                    {remoteSync.queue.length > 0 && ` | ${remoteSync.queue.length} waiting to send`}
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-900 hover:bg-slate-100"
+                      onClick={runRemoteSync}
+                    >
+                      Sync now
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-900 hover:bg-slate-100"
+                      onClick={disableRemoteSync}
+                    >
+                      Turn off
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <form className="mt-2 grid gap-2" onSubmit={enableRemoteSync}>
+                  <input
+                    className="rounded-md border border-slate-300 px-2 py-1 text-xs"
+                    value={remoteUrlDraft}
+                    onChange={(e) => setRemoteUrlDraft(e.target.value)}
+                    placeholder="http://192.168.1.20:8787"
+                  />
+                  <input
+                    type="password"
+                    className="rounded-md border border-slate-300 px-2 py-1 text-xs"
+                    value={remoteTokenDraft}
+                    onChange={(e) => setRemoteTokenDraft(e.target.value)}
+                    placeholder="Access token (optional)"
+                  />
+                  <button
+                    type="submit"
+                    className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                  >
+                    Turn on sync
+                  </button>
+                </form>
+              )}
+              {remoteStatus && (
+                <p
+                  className={`mt-3 rounded px-3 py-2 text-xs ${
+                    remoteStatus.failed ? 'bg-rose-100 text-rose-800' : 'bg-emerald-100 text-emerald-800'
+                  }`}
+                >
+                  {remoteStatus.text}
+                </p>
+              )}
+            </div>
+
+            <div className="mt-6 border-t border-slate-200 pt-4">
+              <h3 className="text-sm font-semibold">History</h3>
+              <div className="mt-2 flex gap-2">
+                <button
+                  type="button"
+                  disabled={state.history.past.length === 0}
+                  title="Ctrl+Z"
+                  className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100 disabled:opacity-40"
+                  onClick={() => setState((prev) => undo(prev, 1, linkedPrinterIds()))}
+                >
+                  Undo
+                </button>
+                <button
+                  type="button"
+                  disabled={state.history.future.length === 0}
+                  title="Ctrl+Shift+Z or Ctrl+Y"
+                  className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100 disabled:opacity-40"
+                  onClick={() => setState((prev) => redo(prev, 1, linkedPrinterIds()))}
+                >
+                  Redo
+                </button>
+              </div>
+              <ol className="mt-3 max-h-64 space-y-1 overflow-y-auto text-xs">
+                {[...state.history.future].reverse().map((entry, index, list) => (
+                  <li key={entry.id}>
+                    <button
+                      type="button"
+                      className="w-full rounded px-2 py-1 text-left text-slate-400 line-through hover:bg-slate-100"
+                      onClick={() => setState((prev) => redo(prev, list.length - index, linkedPrinterIds()))}
+                    >
+                      {entry.label}
+                    </button>
+                  </li>
+                ))}
+                {[...state.history.past].reverse().map((entry, index) => (
+                  <li key={entry.id}>
+                    <button
+                      type="button"
+                      title={`Undo back to before this change (${new Date(entry.at).toLocaleTimeString()})`}
+                      className="w-full rounded px-2 py-1 text-left text-slate-700 hover:bg-slate-100"
+                      onClick={() => setState((prev) => undo(prev, index + 1, linkedPrinterIds()))}
+                    >
+                      {entry.label}
+                    </button>
+                  </li>
+                ))}
+                {state.history.past.length === 0 && state.history.future.length === 0 && (
+                  <li className="text-slate-500">No changes yet.</li>
+                )}
+              </ol>
+            </div>
           </aside>
 
           <div className="grid gap-6 lg:col-span-3">
@@ -719,9 +2342,46 @@ function App() {
             {selectedProject && (
               <>
                 <section className="rounded-xl bg-white p-6 shadow">
-                  <h2 className="text-lg font-semibold">Project: {selectedProject.name}</h2>
-                  <p className="mt-1 text-sm text-slate-600">AMS slots: {selectedProject.amsSlots}</p>
-                  <div className="mt-4 grid gap-3 md:max-w-2xl md:grid-cols-2">
+                  <div className="flex items-start justify-between gap-4">
+                    <h2 className="text-lg font-semibold">Project: {selectedProject.name}</h2>
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                        onClick={() => shareProject(selectedProject)}
+                      >
+                        Share link
+                      </button>
+                      <button
+                        type="button"
+                        className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                        onClick={() => exportProject(selectedProject)}
+                      >
+                        Export project
+                      </button>
+                    </div>
+                  </div>
+                  {shareStatus && (
+                    <div
+                      className={`mt-3 grid gap-2 rounded px-3 py-2 text-xs ${
+                        shareStatus.failed ? 'bg-rose-100 text-rose-800' : 'bg-emerald-100 text-emerald-800'
+                      }`}
+                    >
+                      <p>{shareStatus.text}</p>
+                      {shareStatus.url && (
+                        <input
+                          readOnly
+                          className="rounded-md border border-emerald-300 bg-white px-2 py-1 font-mono text-xs text-slate-700"
+                          value={shareStatus.url}
+                          onFocus={(e) => e.target.select()}
+                        />
+                      )}
+                    </div>
+                  )}
+                  <p className="mt-1 text-sm text-slate-600">
+                    {printers.map((printer) => `${printer.name}: ${printer.amsSlots} AMS slots`).join(' | ')}
+                  </p>
+                  <div className="mt-4 grid gap-3 md:max-w-2xl">
                     <label className="grid gap-1 text-sm font-medium">
                       Edit project name
                       <input
@@ -736,22 +2396,207 @@ function App() {
                         }}
                       />
                     </label>
-                    <label className="grid gap-1 text-sm font-medium">
-                      Edit AMS slots
-                      <input
-                        type="number"
-                        min={1}
-                        className="rounded-md border border-slate-300 px-3 py-2 text-sm font-normal"
-                        value={projectSlotsDraft}
-                        onChange={(e) => setProjectSlotsDraft(e.target.value)}
-                        onBlur={commitProjectSettings}
-                        onKeyDown={(e) => {
-                          if (e.key === 'Enter') {
-                            commitProjectSettings();
-                          }
-                        }}
-                      />
-                    </label>
+                  </div>
+
+                  <div className="mt-6">
+                    <h3 className="text-base font-semibold">Printers</h3>
+                    <p className="mt-1 text-xs text-slate-500">
+                      Add more printers to split the plates between them and plan each one in its own lane. Printers
+                      are shared by all projects, so the next project starts from what is loaded now.
+                    </p>
+                    <div className="mt-3 space-y-2">
+                      {printers.map((printer) => (
+                        <div
+                          key={printer.id}
+                          className="grid gap-2 rounded border border-slate-200 p-3 md:grid-cols-[minmax(0,1fr)_160px_auto] md:items-end"
+                        >
+                          <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                            Printer name
+                            <input
+                              className="rounded-md border border-slate-300 px-3 py-2 text-sm font-normal normal-case tracking-normal text-slate-900"
+                              value={printerNameDrafts[printer.id] ?? printer.name}
+                              onChange={(e) =>
+                                setPrinterNameDrafts((prev) => ({ ...prev, [printer.id]: e.target.value }))
+                              }
+                              onBlur={() => commitPrinterNameDraft(printer.id)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                  commitPrinterNameDraft(printer.id);
+                                }
+                              }}
+                            />
+                          </label>
+                          <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                            AMS slots
+                            <input
+                              type="number"
+                              min={1}
+                              className="rounded-md border border-slate-300 px-3 py-2 text-sm font-normal text-slate-900"
+                              value={printerSlotDrafts[printer.id] ?? String(printer.amsSlots)}
+                              onChange={(e) =>
+                                setPrinterSlotDrafts((prev) => ({ ...prev, [printer.id]: e.target.value }))
+                              }
+                              onBlur={() => commitPrinterSlotsDraft(printer.id)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                  commitPrinterSlotsDraft(printer.id);
+                                }
+                              }}
+                            />
+                          </label>
+                          {isMultiPrinter && (
+                            <button
+                              type="button"
+                              className="rounded border border-rose-300 px-2 py-2 text-xs font-semibold text-rose-700 hover:bg-rose-50"
+                              onClick={() => removePrinter(printer.id)}
+                            >
+                              Remove
+                            </button>
+                          )}
+                          <div className="grid gap-2 text-xs md:col-span-3">
+                            <div className="flex flex-wrap items-center gap-1">
+                              <span className="mr-1 font-semibold text-slate-500">Unavailable slots:</span>
+                              {printer.layout.map((_, slotIndex) => {
+                                const reserved = printer.reservedSlots.includes(slotIndex);
+                                return (
+                                  <button
+                                    key={slotIndex}
+                                    type="button"
+                                    disabled={!reserved && freeSlotsOf(printer) <= 1}
+                                    className={`rounded border px-2 py-1 font-semibold disabled:opacity-40 ${
+                                      reserved ? 'border-slate-700 bg-slate-700 text-white' : 'border-slate-300 hover:bg-slate-100'
+                                    }`}
+                                    onClick={() => toggleReservedSlot(printer.id, slotIndex)}
+                                  >
+                                    {slotLabel(slotIndex, printer.layout.length)}
+                                  </button>
+                                );
+                              })}
+                            </div>
+                            {selectedProject.colors.length > 0 && (
+                              <div className="flex flex-wrap items-center gap-1">
+                                <span className="mr-1 font-semibold text-slate-500">Always loaded:</span>
+                                {sortedProjectColors.map((color) => {
+                                  const pinned = printer.pinnedColorIds.includes(color.id);
+                                  return (
+                                    <button
+                                      key={color.id}
+                                      type="button"
+                                      disabled={!pinned && freeSlotsOf(printer) <= 1}
+                                      className={`rounded border px-2 py-1 font-semibold disabled:opacity-40 ${
+                                        pinned ? 'border-indigo-600 bg-indigo-600 text-white' : 'border-slate-300 hover:bg-slate-100'
+                                      }`}
+                                      onClick={() => togglePinnedColor(printer.id, color.id)}
+                                    >
+                                      {color.name}
+                                    </button>
+                                  );
+                                })}
+                              </div>
+                            )}
+                            {(printer.reservedSlots.length > 0 || printer.pinnedColorIds.length > 0) && (
+                              <p className="text-slate-500">
+                                {freeSlotsOf(printer)} of {printer.amsSlots} slots left for swapping.
+                              </p>
+                            )}
+                          </div>
+                          <div className="grid gap-2 border-t border-slate-200 pt-2 text-xs md:col-span-3">
+                            {printerLinks[printer.id] ? (
+                              <div className="flex flex-wrap items-center gap-2">
+                                <span className="font-semibold text-slate-500">Connected:</span>
+                                <span className="text-slate-700">
+                                  {PRINTER_LINK_KINDS.find((k) => k.value === printerLinks[printer.id].kind)?.label} at{' '}
+                                  {printerLinks[printer.id].url}
+                                </span>
+                                <button
+                                  type="button"
+                                  className="rounded border border-slate-300 px-2 py-1 font-semibold hover:bg-slate-100"
+                                  onClick={readLinkedPrinters}
+                                >
+                                  Read now
+                                </button>
+                                <button
+                                  type="button"
+                                  className="rounded border border-slate-300 px-2 py-1 font-semibold hover:bg-slate-100"
+                                  onClick={() => disconnectPrinter(printer.id)}
+                                >
+                                  Disconnect
+                                </button>
+                              </div>
+                            ) : (
+                              <div className="flex flex-wrap items-center gap-2">
+                                <span className="font-semibold text-slate-500">Connect:</span>
+                                <select
+                                  className="rounded-md border border-slate-300 px-1 py-1 text-sm"
+                                  value={printerLinkDrafts[printer.id]?.kind ?? PRINTER_LINK_KINDS[0].value}
+                                  onChange={(e) =>
+                                    setPrinterLinkDrafts((prev) => ({
+                                      ...prev,
+                                      [printer.id]: { ...prev[printer.id], kind: e.target.value },
+                                    }))
+                                  }
+                                >
+                                  {PRINTER_LINK_KINDS.map((kind) => (
+                                    <option key={kind.value} value={kind.value}>
+                                      {kind.label}
+                                    </option>
+                                  ))}
+                                </select>
+                                <input
+                                  className="w-48 rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                  placeholder="http://192.168.1.30:7125"
+                                  value={printerLinkDrafts[printer.id]?.url ?? ''}
+                                  onChange={(e) =>
+                                    setPrinterLinkDrafts((prev) => ({
+                                      ...prev,
+                                      [printer.id]: { ...prev[printer.id], url: e.target.value },
+                                    }))
+                                  }
+                                />
+                                <input
+                                  type="password"
+                                  className="w-36 rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                  placeholder="API key (optional)"
+                                  value={printerLinkDrafts[printer.id]?.apiKey ?? ''}
+                                  onChange={(e) =>
+                                    setPrinterLinkDrafts((prev) => ({
+                                      ...prev,
+                                      [printer.id]: { ...prev[printer.id], apiKey: e.target.value },
+                                    }))
+                                  }
+                                />
+                                <button
+                                  type="button"
+                                  className="rounded border border-slate-300 px-2 py-1 font-semibold hover:bg-slate-100"
+                                  onClick={() => connectPrinter(printer.id)}
+                                >
+                                  Connect
+                                </button>
+                              </div>
+                            )}
+                            {printerReadings[printer.id] && (
+                              <p className={printerReadings[printer.id].failed ? 'text-rose-700' : 'text-slate-600'}>
+                                {printerReadings[printer.id].text}
+                              </p>
+                            )}
+                            {printerReadings[printer.id]?.unmatched?.map((tray) => (
+                              <p key={tray.slot} className="text-amber-700">
+                                {slotLabel(tray.slot, printer.amsSlots)} holds{' '}
+                                {[tray.hex, tray.material].filter(Boolean).join(' ')}, which is not in the library. Add
+                                it with that color and material to plan with it.
+                              </p>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <button
+                      type="button"
+                      className="mt-3 rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
+                      onClick={addPrinter}
+                    >
+                      Add printer
+                    </button>
                   </div>
 
                   <div className="mt-6 grid gap-6 md:grid-cols-2">
@@ -771,22 +2616,145 @@ function App() {
                           Add
                         </button>
                       </form>
+                      {libraryColors.some(({ color }) => !selectedProject.colors.includes(color)) && (
+                        <select
+                          className="mt-2 w-full rounded-md border border-slate-300 px-2 py-2 text-sm"
+                          value=""
+                          onChange={(e) => addLibraryColor(e.target.value)}
+                        >
+                          <option value="">Add from library...</option>
+                          {libraryColors
+                            .filter(({ color }) => !selectedProject.colors.includes(color))
+                            .map(({ color }) => (
+                              <option key={color.id} value={color.id}>
+                                {[color.name, color.material, color.brand].filter(Boolean).join(' | ')}
+                              </option>
+                            ))}
+                        </select>
+                      )}
 
                       <ul className="mt-3 space-y-1">
                         {sortedProjectColors.map((color) => (
-                          <li
-                            key={color.id}
-                            className="flex items-center justify-between gap-2 rounded border border-slate-200 px-3 py-2 text-sm"
-                          >
-                            <span>{color.name}</span>
-                            {!usedColorIds.has(color.id) && (
+                          <li key={color.id} className="rounded border border-slate-200 px-3 py-2 text-sm">
+                            <div className="flex items-center justify-between gap-2">
+                              <span className="flex items-center gap-2">
+                                <ColorSwatch color={color} size="h-4 w-4" />
+                                {color.name}
+                                {(color.material || color.brand) && (
+                                  <span className="text-xs text-slate-500">
+                                    {[color.material, color.brand].filter(Boolean).join(' | ')}
+                                  </span>
+                                )}
+                              </span>
+                              {!usedColorIds.has(color.id) && (
+                                <button
+                                  type="button"
+                                  className="rounded border border-rose-300 px-2 py-1 text-xs font-semibold text-rose-700 hover:bg-rose-50"
+                                  onClick={() => removeColor(color.id)}
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </div>
+                            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-600">
+                              <label className="flex items-center gap-1">
+                                Color
+                                <input
+                                  type="color"
+                                  className="h-7 w-9 cursor-pointer rounded border border-slate-300 bg-white p-0.5"
+                                  value={(color.hex ?? '#9CA3AF').toLowerCase()}
+                                  onChange={(e) => updateColorHex(color.id, e.target.value)}
+                                />
+                              </label>
+                              <label className="flex items-center gap-1">
+                                Material
+                                <select
+                                  className="rounded-md border border-slate-300 px-1 py-1 text-sm"
+                                  value={color.material ?? ''}
+                                  onChange={(e) => updateColorMaterial(color.id, e.target.value)}
+                                >
+                                  <option value="">-</option>
+                                  {[...new Set([...MATERIALS, color.material].filter(Boolean))].map((material) => (
+                                    <option key={material} value={material}>
+                                      {material}
+                                    </option>
+                                  ))}
+                                </select>
+                              </label>
+                              <label className="flex items-center gap-1">
+                                Brand
+                                <input
+                                  className="w-28 rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                  placeholder="-"
+                                  value={colorDrafts[`${color.id}:brand`] ?? color.brand}
+                                  onChange={(e) =>
+                                    setColorDrafts((prev) => ({ ...prev, [`${color.id}:brand`]: e.target.value }))
+                                  }
+                                  onBlur={() => commitColorDraft(color.id, 'brand')}
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Enter') {
+                                      commitColorDraft(color.id, 'brand');
+                                    }
+                                  }}
+                                />
+                              </label>
+                            </div>
+                            <input
+                              className="mt-2 w-full rounded-md border border-slate-300 px-2 py-1 text-xs"
+                              placeholder="Notes (temperatures, dryness, where the spool is)"
+                              value={colorDrafts[`${color.id}:notes`] ?? color.notes}
+                              onChange={(e) =>
+                                setColorDrafts((prev) => ({ ...prev, [`${color.id}:notes`]: e.target.value }))
+                              }
+                              onBlur={() => commitColorDraft(color.id, 'notes')}
+                            />
+                            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-600">
+                              <label className="flex items-center gap-1">
+                                Left on spool
+                                <input
+                                  type="number"
+                                  min={0}
+                                  className="w-20 rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                  placeholder="-"
+                                  value={numberDrafts[`spool:${color.id}`] ?? color.spoolGrams ?? ''}
+                                  onChange={(e) => handleNumberDraftChange(`spool:${color.id}`, e.target.value)}
+                                  onBlur={() => commitNumberDraft(`spool:${color.id}`, (value) => updateSpoolGrams(color.id, value))}
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Enter') {
+                                      commitNumberDraft(`spool:${color.id}`, (value) => updateSpoolGrams(color.id, value));
+                                    }
+                                  }}
+                                />
+                                g
+                              </label>
+                              <label className="flex items-center gap-1">
+                                of
+                                <select
+                                  className="rounded-md border border-slate-300 px-1 py-1 text-sm"
+                                  value={color.spoolSize}
+                                  onChange={(e) => updateSpoolSize(color.id, e.target.value)}
+                                >
+                                  {[...new Set([...SPOOL_SIZES, color.spoolSize])].map((size) => (
+                                    <option key={size} value={size}>
+                                      {size} g
+                                    </option>
+                                  ))}
+                                </select>
+                              </label>
                               <button
                                 type="button"
-                                className="rounded border border-rose-300 px-2 py-1 text-xs font-semibold text-rose-700 hover:bg-rose-50"
-                                onClick={() => removeColor(color.id)}
+                                className="rounded border border-slate-300 px-2 py-1 font-semibold hover:bg-slate-100"
+                                onClick={() => replaceSpool(color.id)}
                               >
-                                Remove
+                                New spool
                               </button>
+                            </div>
+                            {usageByColor.has(color.id) && (
+                              <p className="mt-1 text-xs text-slate-500">
+                                Used {usageByColor.get(color.id).printed} g
+                                {usageByColor.get(color.id).wasted > 0 &&
+                                  `, plus ${usageByColor.get(color.id).wasted} g lost to failed prints`}
+                              </p>
                             )}
                           </li>
                         ))}
@@ -794,6 +2762,68 @@ function App() {
                           <li className="text-sm text-slate-500">No colors added yet.</li>
                         )}
                       </ul>
+
+                      {selectedProject.colors.length > 1 && (
+                        <details className="mt-3 rounded border border-slate-200 px-3 py-2 text-sm">
+                          <summary className="cursor-pointer font-semibold">Flush volumes</summary>
+                          <p className="mt-2 text-xs text-slate-600">
+                            Filament purged when the printer changes from the color of a row to the color of a column,
+                            in mm³. Empty fields use a volume worked out from the two colors; copy your slicer's values
+                            for a closer estimate.
+                          </p>
+                          <div className="mt-2 overflow-x-auto">
+                            <table className="text-xs">
+                              <thead>
+                                <tr>
+                                  <th className="px-1 text-left font-normal text-slate-500">From \ to</th>
+                                  {sortedProjectColors.map((color) => (
+                                    <th key={color.id} className="px-1" title={color.name}>
+                                      <ColorSwatch color={color} size="h-4 w-4" />
+                                    </th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {sortedProjectColors.map((from) => (
+                                  <tr key={from.id}>
+                                    <th className="whitespace-nowrap px-1 text-left font-normal">
+                                      <span className="flex items-center gap-1">
+                                        <ColorSwatch color={from} size="h-4 w-4" />
+                                        {from.name}
+                                      </span>
+                                    </th>
+                                    {sortedProjectColors.map((to) => (
+                                      <td key={to.id} className="px-1 py-0.5 text-center">
+                                        {from.id === to.id ? (
+                                          <span className="text-slate-400">-</span>
+                                        ) : (
+                                          <input
+                                            type="number"
+                                            min={0}
+                                            aria-label={`Flush from ${from.name} to ${to.name}`}
+                                            className="w-16 rounded-md border border-slate-300 px-1 py-0.5 text-sm"
+                                            placeholder={String(
+                                              flushVolume({ ...selectedProject, flushVolumes: {} }, from.id, to.id)
+                                            )}
+                                            value={numberDrafts[`flush:${from.id}:${to.id}`] ?? selectedProject.flushVolumes[from.id]?.[to.id] ?? ''}
+                                            onChange={(e) => handleNumberDraftChange(`flush:${from.id}:${to.id}`, e.target.value)}
+                                            onBlur={() => commitNumberDraft(`flush:${from.id}:${to.id}`, (value) => updateFlushVolume(from.id, to.id, value))}
+                                            onKeyDown={(e) => {
+                                              if (e.key === 'Enter') {
+                                                commitNumberDraft(`flush:${from.id}:${to.id}`, (value) => updateFlushVolume(from.id, to.id, value));
+                                              }
+                                            }}
+                                          />
+                                        )}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </details>
+                      )}
                     </div>
 
                     <div>
@@ -815,6 +2845,16 @@ function App() {
                             onChange={(e) => setNewPlateMinutes(e.target.value)}
                           />
                         </label>
+                        <label className="grid gap-2 text-sm font-medium">
+                          Copies
+                          <input
+                            type="number"
+                            min={1}
+                            className="rounded-md border border-slate-300 px-3 py-2 text-sm font-normal"
+                            value={newPlateQuantity}
+                            onChange={(e) => setNewPlateQuantity(e.target.value)}
+                          />
+                        </label>
                         <div className="rounded-md border border-slate-200 p-3">
                           <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Colors on this plate</p>
                           <div className="mt-2 grid gap-2 sm:grid-cols-2">
@@ -825,6 +2865,7 @@ function App() {
                                   checked={newPlateColors.includes(color.id)}
                                   onChange={() => togglePlateColor(color.id)}
                                 />
+                                <ColorSwatch color={color} />
                                 {color.name}
                               </label>
                             ))}
@@ -840,6 +2881,36 @@ function App() {
                           Add plate
                         </button>
                       </form>
+
+                      <label
+                        className="mt-3 block cursor-pointer rounded-md border-2 border-dashed border-slate-300 px-3 py-4 text-center text-sm text-slate-600 hover:bg-slate-50"
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={(e) => {
+                          e.preventDefault();
+                          importPlateFiles([...e.dataTransfer.files]);
+                        }}
+                      >
+                        Drop a sliced .3mf project or .gcode file here, or click to choose one.
+                        <input
+                          type="file"
+                          accept=".3mf,.gcode,.gco,.g"
+                          multiple
+                          className="sr-only"
+                          onChange={(e) => {
+                            importPlateFiles([...e.target.files]);
+                            e.target.value = '';
+                          }}
+                        />
+                      </label>
+                      {importStatus && (
+                        <p
+                          className={`mt-2 rounded px-3 py-2 text-xs ${
+                            importStatus.failed ? 'bg-rose-100 text-rose-800' : 'bg-emerald-100 text-emerald-800'
+                          }`}
+                        >
+                          {importStatus.text}
+                        </p>
+                      )}
                     </div>
                   </div>
                 </section>
@@ -851,7 +2922,7 @@ function App() {
                       <article key={plate.id} className="rounded-lg border border-slate-200 p-4">
                         <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
                           <div className="w-full">
-                            <div className="grid gap-3 md:grid-cols-[minmax(0,1fr)_220px]">
+                            <div className="grid gap-3 md:grid-cols-[minmax(0,1fr)_220px_120px]">
                               <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
                                 Plate name
                                 <input
@@ -885,6 +2956,22 @@ function App() {
                                   }}
                                 />
                               </label>
+                              <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                                Copies
+                                <input
+                                  type="number"
+                                  min={1}
+                                  className="rounded-md border border-slate-300 px-3 py-2 text-sm font-normal text-slate-900"
+                                  value={plateQuantityDrafts[plate.id] ?? String(plate.quantity)}
+                                  onChange={(e) => handlePlateQuantityDraftChange(plate.id, e.target.value)}
+                                  onBlur={() => commitPlateQuantityDraft(plate.id)}
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Enter') {
+                                      commitPlateQuantityDraft(plate.id);
+                                    }
+                                  }}
+                                />
+                              </label>
                             </div>
                           </div>
                           <div className="flex flex-col gap-2">
@@ -893,10 +2980,13 @@ function App() {
                                 Printing now
                               </p>
                             )}
-                            {!plate.printing && !hasPrintingPlate && (
+                            {plate.printing && isMultiPrinter && (
+                              <p className="text-center text-xs text-indigo-700">{printerNameById.get(plate.printerId)}</p>
+                            )}
+                            {!plate.printing && idlePrinter && (
                               <button
                                 type="button"
-                                onClick={() => togglePrinting(plate.id)}
+                                onClick={() => togglePrinting(plate.id, idlePrinter.id)}
                                 className="rounded-md border border-indigo-300 px-3 py-1.5 text-xs font-semibold text-indigo-700 hover:bg-indigo-50"
                               >
                                 Mark printing
@@ -904,11 +2994,28 @@ function App() {
                             )}
                             <button
                               type="button"
-                              onClick={() => togglePrinted(plate.id)}
+                              onClick={() => markPrinted(plate.id, true)}
                               className="rounded-md bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-emerald-500"
                             >
-                              Mark printed
+                              {plate.quantity > 1 ? 'Mark one printed' : 'Mark printed'}
                             </button>
+                            {plate.quantity > 1 && (
+                              <p className="text-center text-xs text-slate-500">
+                                {plate.printedCount} of {plate.quantity} printed
+                              </p>
+                            )}
+                            {plate.printing && (
+                              <button
+                                type="button"
+                                onClick={() => setFailingPlateId(plate.id)}
+                                className="rounded-md border border-rose-300 px-3 py-1.5 text-xs font-semibold text-rose-700 hover:bg-rose-50"
+                              >
+                                Mark failed
+                              </button>
+                            )}
+                            {!plate.printing && plate.failed && (
+                              <p className="text-center text-xs font-semibold text-rose-700">Failed last time</p>
+                            )}
                           </div>
                         </div>
 
@@ -918,16 +3025,193 @@ function App() {
 
                         <div className="mt-2 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
                           {colorsForPlate(plate).map((color) => (
-                            <label key={color.id} className="flex items-center gap-2 text-sm">
-                              <input
-                                type="checkbox"
-                                checked={plate.colorIds.includes(color.id)}
-                                onChange={() => toggleExistingPlateColor(plate.id, color.id)}
-                              />
-                              {color.name}
-                            </label>
+                            <div key={color.id} className="flex items-center justify-between gap-2 text-sm">
+                              <label className="flex items-center gap-2">
+                                <input
+                                  type="checkbox"
+                                  checked={plate.colorIds.includes(color.id)}
+                                  onChange={() => toggleExistingPlateColor(plate.id, color.id)}
+                                />
+                                <ColorSwatch color={color} />
+                                {color.name}
+                              </label>
+                              {plate.colorIds.includes(color.id) && (
+                                <label className="flex items-center gap-1 text-xs text-slate-500">
+                                  <input
+                                    type="number"
+                                    min={0}
+                                    className="w-16 rounded-md border border-slate-300 px-2 py-0.5 text-sm text-slate-900"
+                                    value={numberDrafts[`grams:${plate.id}:${color.id}`] ?? plate.colorGrams?.[color.id] ?? ''}
+                                    onChange={(e) => handleNumberDraftChange(`grams:${plate.id}:${color.id}`, e.target.value)}
+                                    onBlur={() => commitNumberDraft(`grams:${plate.id}:${color.id}`, (value) => updatePlateColorGrams(plate.id, color.id, value))}
+                                    onKeyDown={(e) => {
+                                      if (e.key === 'Enter') {
+                                        commitNumberDraft(`grams:${plate.id}:${color.id}`, (value) => updatePlateColorGrams(plate.id, color.id, value));
+                                      }
+                                    }}
+                                  />
+                                  g
+                                </label>
+                              )}
+                            </div>
                           ))}
                         </div>
+
+                        {plateMaterialWarning(plate, selectedProject.colors) && (
+                          <p className="mt-2 rounded bg-amber-100 px-2 py-1 text-xs text-amber-900">
+                            {plateMaterialWarning(plate, selectedProject.colors)}
+                          </p>
+                        )}
+
+                        <div className="mt-4 grid gap-3 md:grid-cols-[140px_220px_140px_minmax(0,1fr)]">
+                          <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                            Priority
+                            <select
+                              className="rounded-md border border-slate-300 px-2 py-1.5 text-sm font-normal normal-case tracking-normal text-slate-900"
+                              value={plate.priority}
+                              onChange={(e) => setPlatePriority(plate.id, e.target.value)}
+                            >
+                              {PLATE_PRIORITIES.map((priority) => (
+                                <option key={priority.value} value={priority.value}>
+                                  {priority.label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                            Due
+                            <input
+                              type="datetime-local"
+                              className="rounded-md border border-slate-300 px-2 py-1 text-sm font-normal text-slate-900"
+                              value={plate.dueAt ?? ''}
+                              onChange={(e) => setPlateDueAt(plate.id, e.target.value)}
+                            />
+                          </label>
+                          <label className="grid gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                            Color changes
+                            <input
+                              type="number"
+                              min={0}
+                              className="rounded-md border border-slate-300 px-2 py-1 text-sm font-normal text-slate-900"
+                              placeholder={String(Math.max(0, plate.colorIds.length - 1))}
+                              title="Filament changes the slicer reports for this plate; empty counts one per extra color"
+                              value={numberDrafts[`changes:${plate.id}`] ?? plate.colorChanges ?? ''}
+                              onChange={(e) => handleNumberDraftChange(`changes:${plate.id}`, e.target.value)}
+                              onBlur={() => commitNumberDraft(`changes:${plate.id}`, (value) => setPlateColorChanges(plate.id, value))}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                  commitNumberDraft(`changes:${plate.id}`, (value) => setPlateColorChanges(plate.id, value));
+                                }
+                              }}
+                            />
+                          </label>
+                          <div className="grid content-start gap-1">
+                            <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Print after</p>
+                            <div className="flex flex-wrap items-center gap-2">
+                              {plate.printAfter.map((otherId) => (
+                                <span
+                                  key={otherId}
+                                  className="flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5 text-xs text-slate-700"
+                                >
+                                  {plateLabel(otherId)}
+                                  <button
+                                    type="button"
+                                    className="font-semibold text-slate-500 hover:text-rose-700"
+                                    aria-label={`Stop waiting for ${plateLabel(otherId)}`}
+                                    onClick={() => removePlateDependency(plate.id, otherId)}
+                                  >
+                                    ×
+                                  </button>
+                                </span>
+                              ))}
+                              <select
+                                className="rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                value=""
+                                onChange={(e) => addPlateDependency(plate.id, e.target.value)}
+                              >
+                                <option value="">Add plate...</option>
+                                {activePlates
+                                  .filter(
+                                    (other) =>
+                                      other.id !== plate.id &&
+                                      !plate.printAfter.includes(other.id) &&
+                                      !mustPrintAfter(selectedProject.plates, other.id, plate.id)
+                                  )
+                                  .map((other) => (
+                                    <option key={other.id} value={other.id}>
+                                      {other.name}
+                                    </option>
+                                  ))}
+                              </select>
+                            </div>
+                          </div>
+                        </div>
+
+                        {plate.colorIds.length > minPrinterSlots && (
+                          <div className="mt-4 rounded-md border border-rose-200 bg-rose-50 p-3">
+                            <p className="text-xs font-semibold uppercase tracking-wide text-rose-800">
+                              Color order for pauses
+                            </p>
+                            <p className="mt-1 text-xs text-rose-800">
+                              This plate uses more colors than the AMS holds. Put the colors in the order they are
+                              first used, or enter the layer range of every color.
+                            </p>
+                            <ol className="mt-2 space-y-1">
+                              {plateColorRanges(plate).map((range, index, ranges) => (
+                                <li key={range.colorId} className="flex flex-wrap items-center gap-2 text-sm">
+                                  <span className="w-6 text-xs text-slate-500">{index + 1}.</span>
+                                  <span className="min-w-32 flex-1">{colorNameById.get(range.colorId)}</span>
+                                  <label className="flex items-center gap-1 text-xs text-slate-600">
+                                    Layers
+                                    <input
+                                      type="number"
+                                      min={0}
+                                      className="w-20 rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                      value={numberDrafts[`first:${plate.id}:${range.colorId}`] ?? range.firstLayer ?? ''}
+                                      onChange={(e) => handleNumberDraftChange(`first:${plate.id}:${range.colorId}`, e.target.value)}
+                                      onBlur={() => commitNumberDraft(`first:${plate.id}:${range.colorId}`, (value) => updatePlateColorLayer(plate.id, range.colorId, 'firstLayer', value))}
+                                      onKeyDown={(e) => {
+                                        if (e.key === 'Enter') {
+                                          commitNumberDraft(`first:${plate.id}:${range.colorId}`, (value) => updatePlateColorLayer(plate.id, range.colorId, 'firstLayer', value));
+                                        }
+                                      }}
+                                    />
+                                    to
+                                    <input
+                                      type="number"
+                                      min={0}
+                                      className="w-20 rounded-md border border-slate-300 px-2 py-1 text-sm"
+                                      value={numberDrafts[`last:${plate.id}:${range.colorId}`] ?? range.lastLayer ?? ''}
+                                      onChange={(e) => handleNumberDraftChange(`last:${plate.id}:${range.colorId}`, e.target.value)}
+                                      onBlur={() => commitNumberDraft(`last:${plate.id}:${range.colorId}`, (value) => updatePlateColorLayer(plate.id, range.colorId, 'lastLayer', value))}
+                                      onKeyDown={(e) => {
+                                        if (e.key === 'Enter') {
+                                          commitNumberDraft(`last:${plate.id}:${range.colorId}`, (value) => updatePlateColorLayer(plate.id, range.colorId, 'lastLayer', value));
+                                        }
+                                      }}
+                                    />
+                                  </label>
+                                  <button
+                                    type="button"
+                                    disabled={index === 0}
+                                    className="rounded border border-slate-300 px-2 py-1 text-xs font-semibold hover:bg-slate-100 disabled:opacity-40"
+                                    onClick={() => movePlateColor(plate.id, range.colorId, -1)}
+                                  >
+                                    Up
+                                  </button>
+                                  <button
+                                    type="button"
+                                    disabled={index === ranges.length - 1}
+                                    className="rounded border border-slate-300 px-2 py-1 text-xs font-semibold hover:bg-slate-100 disabled:opacity-40"
+                                    onClick={() => movePlateColor(plate.id, range.colorId, 1)}
+                                  >
+                                    Down
+                                  </button>
+                                </li>
+                              ))}
+                            </ol>
+                          </div>
+                        )}
                       </article>
                     ))}
 
@@ -940,20 +3224,33 @@ function App() {
                       {completedPlates.map((plate) => (
                         <div key={plate.id} className="flex items-center justify-between rounded border border-slate-200 px-3 py-2">
                           <div>
-                            <p className="text-sm font-medium">{plate.name}</p>
+                            <p className="text-sm font-medium">
+                              {plate.name}
+                              {plate.quantity > 1 && (
+                                <span className={`ml-2 text-xs ${plate.printed ? 'text-slate-500' : 'text-amber-700'}`}>
+                                  {plate.printedCount} of {plate.quantity} printed
+                                </span>
+                              )}
+                            </p>
                             <p className="text-xs text-slate-500">
                               {Number(plate.printMinutes) > 0 ? `${plate.printMinutes} min` : '0 min'}
+                              {plate.quantity > 1 && ' each'}
                             </p>
                             <p className="text-xs text-slate-500">
-                              {plate.colorIds.map((id) => colorNameById.get(id)).filter(Boolean).join(', ') || 'No colors selected'}
+                              <ColorList
+                                colorIds={plate.colorIds}
+                                colorById={colorById}
+                                empty="No colors selected"
+                                detail={(color) => (plate.colorGrams?.[color.id] ? `(${plate.colorGrams[color.id]} g)` : '')}
+                              />
                             </p>
                           </div>
                           <button
                             type="button"
-                            onClick={() => togglePrinted(plate.id)}
+                            onClick={() => markPrinted(plate.id, false)}
                             className="rounded-md border border-slate-300 px-3 py-1.5 text-xs font-semibold hover:bg-slate-100"
                           >
-                            Mark unprinted
+                            {plate.quantity > 1 ? 'Mark one unprinted' : 'Mark unprinted'}
                           </button>
                         </div>
                       ))}
@@ -964,10 +3261,58 @@ function App() {
                 </section>
 
                 <section className="rounded-xl bg-white p-6 shadow">
-                  <h2 className="text-lg font-semibold">Plan</h2>
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h2 className="text-lg font-semibold">Plan</h2>
+                    <button
+                      type="button"
+                      className="rounded-md bg-slate-900 px-3 py-1.5 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-40"
+                      disabled={planner.lanes.every((lane) => lane.steps.length === 0)}
+                      onClick={() => setRunMode(true)}
+                    >
+                      Start guided run
+                    </button>
+                  </div>
                   <p className="mt-1 text-sm text-slate-600">
-                    Choose current colors loaded in AMS ({currentAms.length}/{selectedProject.amsSlots}).
+                    Choose the color loaded in each AMS slot{isMultiPrinter ? ' of every printer' : ''}.
                   </p>
+                  <div className="mt-3 flex items-center gap-2">
+                    <label htmlFor="plan-mode" className="text-sm font-medium text-slate-700">
+                      Plan mode
+                    </label>
+                    <select
+                      id="plan-mode"
+                      className="rounded-md border border-slate-300 px-2 py-1 text-sm"
+                      value={planMode}
+                      onChange={(e) => setPlanMode(e.target.value)}
+                    >
+                      <option value="greedy">Greedy (fast)</option>
+                      <option value="optimal">Optimal (exact search)</option>
+                    </select>
+                    <p className="text-xs text-slate-500">
+                      Optimal mode searches every order for up to {EXACT_PLATE_LIMIT} remaining plates.
+                    </p>
+                  </div>
+                  <div className="mt-3 flex items-center gap-2">
+                    <label htmlFor="plan-cost" className="text-sm font-medium text-slate-700">
+                      Optimize for
+                    </label>
+                    <select
+                      id="plan-cost"
+                      className="rounded-md border border-slate-300 px-2 py-1 text-sm"
+                      value={planCost}
+                      onChange={(e) => setPlanCost(e.target.value)}
+                    >
+                      {PLAN_COSTS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-slate-500">
+                      Least purge orders plates by the flush from the color one ends on to the color the next starts
+                      with; swaps break ties.
+                    </p>
+                  </div>
                   <div className="mt-3 flex items-center gap-2">
                     <label htmlFor="plan-sort" className="text-sm font-medium text-slate-700">
                       Print time sort
@@ -985,84 +3330,501 @@ function App() {
                       Applies only when candidate plates have the same minimum swap count.
                     </p>
                   </div>
-
-                  <div className="mt-4 grid gap-2 sm:grid-cols-2 lg:grid-cols-3">
-                    {sortedProjectColors.map((color) => (
-                      <label key={color.id} className="flex items-center gap-2 rounded border border-slate-200 px-3 py-2 text-sm">
+                  <div className="mt-3 flex flex-wrap items-center gap-2">
+                    <label htmlFor="plan-start" className="text-sm font-medium text-slate-700">
+                      Start
+                    </label>
+                    <input
+                      id="plan-start"
+                      type="datetime-local"
+                      className="rounded-md border border-slate-300 px-2 py-1 text-sm"
+                      value={selectedProject.schedule.startAt ?? ''}
+                      onChange={(e) => updateSchedule('Change plan start time', { startAt: e.target.value || null })}
+                    />
+                    {selectedProject.schedule.startAt ? (
+                      <button
+                        type="button"
+                        className="text-xs font-semibold text-sky-700 underline hover:text-sky-600"
+                        onClick={() => updateSchedule('Start plan now', { startAt: null })}
+                      >
+                        Start now instead
+                      </button>
+                    ) : (
+                      <p className="text-xs text-slate-500">Empty starts the plan now.</p>
+                    )}
+                  </div>
+                  <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                    <label className="flex items-center gap-2 font-medium text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(selectedProject.schedule.attended)}
+                        onChange={(e) =>
+                          updateSchedule(e.target.checked ? 'Set attended hours' : 'Clear attended hours', {
+                            attended: e.target.checked ? { from: '08:00', until: '23:00' } : null,
+                          })
+                        }
+                      />
+                      Only swap while someone is around
+                    </label>
+                    {selectedProject.schedule.attended && (
+                      <>
                         <input
-                          type="checkbox"
-                          checked={currentAms.includes(color.id)}
-                          onChange={() => togglePlanColor(color.id)}
+                          type="time"
+                          aria-label="Attended from"
+                          className="rounded-md border border-slate-300 px-2 py-1 text-sm"
+                          value={selectedProject.schedule.attended.from}
+                          onChange={(e) => updateAttendedHours('from', e.target.value)}
                         />
-                        {color.name}
-                      </label>
-                    ))}
+                        <span className="text-slate-500">to</span>
+                        <input
+                          type="time"
+                          aria-label="Attended until"
+                          className="rounded-md border border-slate-300 px-2 py-1 text-sm"
+                          value={selectedProject.schedule.attended.until}
+                          onChange={(e) => updateAttendedHours('until', e.target.value)}
+                        />
+                      </>
+                    )}
                   </div>
 
                   {planner.error && <p className="mt-4 rounded bg-rose-100 px-3 py-2 text-sm text-rose-800">{planner.error}</p>}
 
                   {!planner.error && (
                     <>
-                      <p className="mt-4 text-sm font-semibold">Estimated swaps: {planner.totalSwaps}</p>
-                      <ol className="mt-3 space-y-3">
-                        {planner.steps.map((step, index) => (
-                          <li
-                            key={step.plateId}
-                            className={`rounded border p-3 ${
-                              step.requiresPauseAndFilamentSwap
-                                ? 'border-rose-500'
-                                : printingPlateIds.has(step.plateId)
-                                  ? 'border-indigo-600'
-                                  : 'border-slate-200'
-                            }`}
-                          >
-                            <div className="flex items-center justify-between gap-4">
-                              <div>
-                                <p className="text-sm font-semibold">
-                                  {index + 1}. {step.plateName}
-                                  {printingPlateIds.has(step.plateId) && (
-                                    <span className="ml-2 text-xs font-semibold text-indigo-700">Printing now</span>
-                                  )}
-                                  {!printingPlateIds.has(step.plateId) && !hasPrintingPlate && (
-                                    <button
-                                      type="button"
-                                      className="ml-2 text-xs font-semibold text-sky-700 underline hover:text-sky-600"
-                                      onClick={() => togglePrinting(step.plateId)}
-                                    >
-                                      Mark Printing
-                                    </button>
-                                  )}
+                      <p className="mt-4 text-sm font-semibold">
+                        Estimated swaps: {planner.totalSwaps} | Estimated purge: {formatGrams(planner.purgeGrams)}
+                        {` (${formatDuration(planner.purgeMinutes)})`}
+                      </p>
+                      {planner.manualExtraSwaps !== null && (
+                        <p className="mt-1 text-xs text-slate-600">
+                          The order set by hand {describeManualOrder(planner.manualExtraSwaps)}.
+                        </p>
+                      )}
+                      {planMode === 'optimal' && !planner.fallbackReason && planCost === 'purge' && (
+                        <p className="mt-1 text-xs text-slate-600">
+                          Greedy plan: {formatGrams(planner.greedyPurgeGrams)} purge | Optimal plan:{' '}
+                          {formatGrams(planner.purgeGrams)} purge
+                          {planner.greedyPurgeGrams > planner.purgeGrams
+                            ? ` (saves ${formatGrams(planner.greedyPurgeGrams - planner.purgeGrams)})`
+                            : ' (greedy order is already optimal)'}
+                        </p>
+                      )}
+                      {planMode === 'optimal' && !planner.fallbackReason && planCost === 'swaps' && (
+                        <p className="mt-1 text-xs text-slate-600">
+                          Greedy plan: {planner.greedySwaps} swaps | Optimal plan: {planner.totalSwaps} swaps
+                          {planner.greedySwaps > planner.totalSwaps
+                            ? ` (saves ${planner.greedySwaps - planner.totalSwaps})`
+                            : ' (greedy order is already optimal)'}
+                        </p>
+                      )}
+                      {planMode === 'optimal' && planner.fallbackReason && (
+                        <p className="mt-1 rounded bg-amber-100 px-2 py-1 text-xs text-amber-900">
+                          Showing the greedy plan: {planner.fallbackReason}.
+                        </p>
+                      )}
+                      {planner.lanes.some((lane) => lane.steps.length > 0) && (
+                        <p className="mt-1 text-xs text-slate-600">
+                          Estimated finish: {formatClock(planner.finishAt)}
+                          {isMultiPrinter && ' on the busiest printer'}
+                          {planner.lanes.some((lane) => lane.timeFactor !== 1) && ' (times corrected from print history)'}
+                        </p>
+                      )}
+                      {latePlateCount > 0 && (
+                        <p className="mt-1 rounded bg-rose-100 px-2 py-1 text-xs text-rose-800">
+                          {latePlateCount} {latePlateCount === 1 ? 'plate finishes' : 'plates finish'} after the due
+                          date even with the plates due soonest printed first.
+                        </p>
+                      )}
+                      <div className={`mt-4 grid gap-6 ${isMultiPrinter ? 'xl:grid-cols-2' : ''}`}>
+                        {planner.lanes.map((lane) => {
+                          const printer = printers.find((p) => p.id === lane.printerId);
+                          return (
+                            <div key={lane.printerId} className={isMultiPrinter ? 'rounded-lg border border-slate-200 p-4' : ''}>
+                              {isMultiPrinter && (
+                                <div className="flex items-baseline justify-between gap-4">
+                                  <h3 className="text-base font-semibold">{lane.printerName}</h3>
+                                  <p className="text-xs text-slate-500">
+                                    {lane.steps.length} plates | {lane.totalSwaps} swaps | {formatGrams(lane.purgeGrams)} purge
+                                    {' | '}done {formatClock(lane.finishAt)}
+                                  </p>
+                                </div>
+                              )}
+                              {lane.reordered && (
+                                <p className="mt-2 rounded bg-sky-100 px-2 py-1 text-xs text-sky-900">
+                                  Reordered so swaps happen while someone is around.
                                 </p>
-                                <p className="text-xs text-slate-500">
-                                  Required: {step.required.map((id) => colorNameById.get(id)).filter(Boolean).join(', ') || 'None'}
+                              )}
+                              {lane.steps.some((step) => step.locked) && (
+                                <p className="mt-2 flex items-center justify-between gap-2 rounded bg-slate-100 px-2 py-1 text-xs text-slate-700">
+                                  {lane.steps.filter((step) => step.locked).length} locked in place; the planner orders the
+                                  rest.
+                                  <button
+                                    type="button"
+                                    className="font-semibold text-sky-700 underline hover:text-sky-600"
+                                    onClick={() => unlockLane(lane.printerId)}
+                                  >
+                                    Unlock all
+                                  </button>
                                 </p>
-                                <p className="text-xs text-slate-500">Estimated time: {step.printMinutes} min</p>
-                              </div>
-                              <div className="text-right text-xs">
-                                <p className="font-semibold">Swaps: {step.swaps}</p>
+                              )}
+                              {lane.pinCosts.map((cost) => (
+                                <p key={cost.colorId} className="mt-2 rounded bg-amber-100 px-2 py-1 text-xs text-amber-900">
+                                  Keeping {colorNameById.get(cost.colorId)} loaded costs {cost.extraSwaps} extra{' '}
+                                  {cost.extraSwaps === 1 ? 'swap' : 'swaps'} because its slot is not free for other colors.
+                                </p>
+                              ))}
+                              <div className="mt-3 grid gap-2 sm:grid-cols-2 lg:grid-cols-4">
+                                {printer.layout.map((colorId, slotIndex) => (
+                                  <label
+                                    key={slotIndex}
+                                    className="grid gap-1 rounded border border-slate-200 px-3 py-2 text-xs font-semibold uppercase tracking-wide text-slate-500"
+                                  >
+                                    {slotLabel(slotIndex, printer.layout.length)}
+                                    {printer.pinnedColorIds.includes(colorId) && ' (pinned)'}
+                                    <select
+                                      className="rounded-md border border-slate-300 px-2 py-1 text-sm font-normal normal-case tracking-normal text-slate-900 disabled:bg-slate-100"
+                                      value={colorId ?? ''}
+                                      disabled={printer.reservedSlots.includes(slotIndex)}
+                                      onChange={(e) => setAmsSlotColor(printer.id, slotIndex, e.target.value)}
+                                    >
+                                      <option value="">{printer.reservedSlots.includes(slotIndex) ? 'Unavailable' : 'Empty'}</option>
+                                      {sortedProjectColors.map((color) => (
+                                        <option key={color.id} value={color.id}>
+                                          {color.name}
+                                        </option>
+                                      ))}
+                                      {colorId && !selectedProject.colors.some((color) => color.id === colorId) && (
+                                        <option value={colorId}>{colorLabel(colorId)} (other project)</option>
+                                      )}
+                                    </select>
+                                  </label>
+                                ))}
                               </div>
+                              <ol className="mt-3 space-y-3">
+                                {lane.steps.map((step, index) => (
+                                  <li
+                                    key={`${step.plateId}:${step.copy}`}
+                                    draggable={!step.printing}
+                                    onDragStart={(e) => {
+                                      e.dataTransfer.effectAllowed = 'move';
+                                      e.dataTransfer.setData('text/plain', step.plateName);
+                                      setDraggedStep({ printerId: lane.printerId, index });
+                                    }}
+                                    onDragOver={(e) => {
+                                      if (draggedStep?.printerId === lane.printerId) {
+                                        e.preventDefault();
+                                      }
+                                    }}
+                                    onDrop={(e) => {
+                                      e.preventDefault();
+                                      if (draggedStep?.printerId === lane.printerId) {
+                                        moveStep(lane, draggedStep.index, index);
+                                      }
+                                      setDraggedStep(null);
+                                    }}
+                                    onDragEnd={() => setDraggedStep(null)}
+                                    className={`rounded border p-3 ${step.printing ? '' : 'cursor-move'} ${
+                                      draggedStep?.printerId === lane.printerId && draggedStep.index === index
+                                        ? 'opacity-50'
+                                        : ''
+                                    } ${
+                                      step.requiresPauseAndFilamentSwap
+                                        ? 'border-rose-500'
+                                        : step.printing
+                                          ? 'border-indigo-600'
+                                          : 'border-slate-200'
+                                    }`}
+                                  >
+                                    <div className="flex items-center justify-between gap-4">
+                                      <div>
+                                        <p className="text-sm font-semibold">
+                                          {index + 1}. {step.plateName}
+                                          {step.copies > 1 && (
+                                            <span className="ml-1 font-normal text-slate-500">
+                                              (copy {step.copy} of {step.copies})
+                                            </span>
+                                          )}
+                                          {step.priority !== 'normal' && (
+                                            <span
+                                              className={`ml-2 text-xs font-semibold ${
+                                                step.priority === 'high' ? 'text-amber-700' : 'text-slate-500'
+                                              }`}
+                                            >
+                                              {step.priority === 'high' ? 'High priority' : 'Low priority'}
+                                            </span>
+                                          )}
+                                          {step.printing && (
+                                            <>
+                                              <span className="ml-2 text-xs font-semibold text-indigo-700">Printing now</span>
+                                              <button
+                                                type="button"
+                                                className="ml-2 text-xs font-semibold text-rose-700 underline hover:text-rose-600"
+                                                onClick={() => setFailingPlateId(step.plateId)}
+                                              >
+                                                Mark failed
+                                              </button>
+                                            </>
+                                          )}
+                                          {!step.printing && plateFailed.get(step.plateId) === step.copy && (
+                                            <span className="ml-2 text-xs font-semibold text-rose-700">Retry</span>
+                                          )}
+                                          {!printingPlateIds.has(step.plateId) && !busyPrinterIds.has(lane.printerId) && (
+                                            <button
+                                              type="button"
+                                              className="ml-2 text-xs font-semibold text-sky-700 underline hover:text-sky-600"
+                                              onClick={() => togglePrinting(step.plateId, lane.printerId, step.swaps)}
+                                            >
+                                              Mark Printing
+                                            </button>
+                                          )}
+                                        </p>
+                                        <p className="text-xs text-slate-500">
+                                          Required: <ColorList colorIds={step.required} colorById={colorById} />
+                                        </p>
+                                        {planner.materialWarnings[step.plateId] && (
+                                          <p className="text-xs font-semibold text-amber-700">
+                                            {planner.materialWarnings[step.plateId]}
+                                          </p>
+                                        )}
+                                        <p className="text-xs text-slate-500">
+                                          Estimated time: {step.printMinutes} min | {formatClock(step.startAt)} to{' '}
+                                          {formatClock(step.endAt)}
+                                        </p>
+                                        {step.dueAt && (
+                                          <p className={`text-xs ${step.late ? 'font-semibold text-rose-700' : 'text-slate-500'}`}>
+                                            Due {formatDateTime(Date.parse(step.dueAt))}
+                                            {step.late && ', but the plan cannot finish it by then'}
+                                          </p>
+                                        )}
+                                        {step.waitMinutes > 0 && (
+                                          <p className="text-xs font-semibold text-amber-700">
+                                            Waits {formatDuration(step.waitMinutes)} for someone to swap filament
+                                          </p>
+                                        )}
+                                        {step.pausesUnattended && (
+                                          <p className="text-xs font-semibold text-amber-700">
+                                            Filament pauses may come after attended hours end
+                                          </p>
+                                        )}
+                                        {Object.keys(step.grams).length > 0 && (
+                                          <p className="text-xs text-slate-500">
+                                            Filament:{' '}
+                                            <ColorList
+                                              colorIds={Object.keys(step.grams)}
+                                              colorById={colorById}
+                                              detail={(color) => `${step.grams[color.id]} g`}
+                                            />
+                                          </p>
+                                        )}
+                                      </div>
+                                      <div className="grid justify-items-end gap-1 text-xs">
+                                        <p className="font-semibold">Swaps: {step.swaps}</p>
+                                        {step.purgeGrams > 0 && (
+                                          <p className="text-slate-500" title="Estimated filament purged on color changes">
+                                            Purge: {formatGrams(step.purgeGrams)} | {formatDuration(step.purgeMinutes)}
+                                          </p>
+                                        )}
+                                        {!step.printing && (
+                                          <button
+                                            type="button"
+                                            className={`rounded border px-2 py-0.5 font-semibold ${
+                                              step.locked
+                                                ? 'border-slate-900 bg-slate-900 text-white'
+                                                : 'border-slate-300 text-slate-600 hover:bg-slate-50'
+                                            }`}
+                                            title={step.locked ? 'Let the planner move this plate' : 'Keep this plate at this position'}
+                                            onClick={() => toggleStepLock(lane, index)}
+                                          >
+                                            {step.locked ? 'Locked' : 'Lock'}
+                                          </button>
+                                        )}
+                                        {!step.printing && index > 0 && lane.steps.slice(0, index + 1).some((s) => !s.locked) && (
+                                          <button
+                                            type="button"
+                                            className="text-sky-700 underline hover:text-sky-600"
+                                            onClick={() => lockStepsThrough(lane, index)}
+                                          >
+                                            Lock up to here
+                                          </button>
+                                        )}
+                                      </div>
+                                    </div>
+                                    <p className="mt-2 text-xs text-slate-500">
+                                      AMS after step: <ColorList colorIds={step.slotsAfter.filter(Boolean)} colorById={colorById} />
+                                    </p>
+                                    {step.swaps > 0 && (
+                                      <p className="mt-1 text-xs text-slate-600">
+                                        Swap out: <ColorList colorIds={step.swapOut} colorById={colorById} /> | Swap in:{' '}
+                                        <ColorList colorIds={step.swapIn} colorById={colorById} />
+                                      </p>
+                                    )}
+                                    {step.slotChanges.length > 0 && (
+                                      <ul className="mt-1 space-y-0.5 text-xs text-slate-700">
+                                        {step.slotChanges.map((change) => (
+                                          <li key={change.slot}>
+                                            <span className="font-semibold">{slotLabel(change.slot, step.slotsAfter.length)}:</span>{' '}
+                                            {describeSlotChange(change)}
+                                          </li>
+                                        ))}
+                                      </ul>
+                                    )}
+                                    {step.spoolRefills.length > 0 && (
+                                      <ul className="mt-1 space-y-0.5 rounded bg-amber-100 px-2 py-1 text-xs text-amber-900">
+                                        {step.spoolRefills.map((refill) => {
+                                          const slot = step.slotsAfter.indexOf(refill.colorId);
+                                          return (
+                                            <li key={refill.colorId}>
+                                              <span className="font-semibold">
+                                                {slot === -1 ? 'Spool' : slotLabel(slot, step.slotsAfter.length)}:
+                                              </span>{' '}
+                                              replace the {colorNameById.get(refill.colorId)} spool before starting (
+                                              {refill.remaining} g left, plate needs {refill.needed} g)
+                                            </li>
+                                          );
+                                        })}
+                                      </ul>
+                                    )}
+                                    {step.requiresPauseAndFilamentSwap && (
+                                      <div className="mt-2 rounded bg-rose-100 px-2 py-1 text-xs text-rose-800">
+                                        <p className="font-semibold">Requires Pause and Filament Swap</p>
+                                        <p className="mt-1">
+                                          Load at start: <ColorList colorIds={step.startSet} colorById={colorById} />
+                                        </p>
+                                        <ul className="mt-1 space-y-0.5">
+                                          {step.pauses.map((pause) => (
+                                            <li key={pause.at}>
+                                              <span className="font-semibold">
+                                                {pause.byLayer
+                                                  ? `Pause at layer ${pause.at}`
+                                                  : `Pause before ${colorNameById.get(pause.changes[0].load)}`}
+                                                :
+                                              </span>{' '}
+                                              {pause.changes
+                                                .map((change) =>
+                                                  change.slot === null
+                                                    ? `load ${colorNameById.get(change.load)}`
+                                                    : `${slotLabel(change.slot, step.slotsAfter.length)}: ${describeSlotChange(change)}`
+                                                )
+                                                .join('; ')}
+                                            </li>
+                                          ))}
+                                        </ul>
+                                        {step.pauseError && <p className="mt-1 font-semibold">{step.pauseError}</p>}
+                                      </div>
+                                    )}
+                                  </li>
+                                ))}
+                                {lane.steps.length === 0 && <li className="text-sm text-slate-500">No remaining plates to plan.</li>}
+                              </ol>
                             </div>
-                            <p className="mt-2 text-xs text-slate-500">
-                              AMS after step: {step.after.map((id) => colorNameById.get(id)).filter(Boolean).join(', ') || 'None'}
-                            </p>
-                            {step.swaps > 0 && (
-                              <p className="mt-1 text-xs text-slate-600">
-                                Swap out: {step.swapOut.map((id) => colorNameById.get(id)).filter(Boolean).join(', ') || 'None'} | Swap in:{' '}
-                                {step.swapIn.map((id) => colorNameById.get(id)).filter(Boolean).join(', ') || 'None'}
-                              </p>
-                            )}
-                            {step.requiresPauseAndFilamentSwap && (
-                              <p className="mt-2 rounded bg-rose-100 px-2 py-1 text-xs font-semibold text-rose-800">
-                                Requires Pause and Filament Swap
-                              </p>
-                            )}
-                          </li>
-                        ))}
-                        {planner.steps.length === 0 && <li className="text-sm text-slate-500">No remaining plates to plan.</li>}
-                      </ol>
+                          );
+                        })}
+                      </div>
                     </>
                   )}
                 </section>
+
+                <section className="rounded-xl bg-white p-6 shadow">
+                  <h2 className="text-lg font-semibold">Print history</h2>
+                  <p className="mt-1 text-sm text-slate-600">
+                    Start and finish times are logged when plates are marked printing, printed or failed.
+                  </p>
+                  {timeCorrections.length > 0 ? (
+                    <ul className="mt-3 space-y-1 text-sm">
+                      {timeCorrections.map((target) => (
+                        <li key={target.key}>
+                          <span className="font-semibold">{target.name}</span> {describeCorrection(target.correction)}{' '}
+                          <span className="text-slate-500">
+                            (from {target.correction.samples} {target.correction.samples === 1 ? 'print' : 'prints'})
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="mt-3 text-sm text-slate-500">
+                      After {CORRECTION_MIN_SAMPLES} timed prints the plan can use corrected print times.
+                    </p>
+                  )}
+                  <label className="mt-3 flex items-center gap-2 text-sm font-medium text-slate-700">
+                    <input
+                      type="checkbox"
+                      disabled={timeCorrections.length === 0}
+                      checked={selectedProject.schedule.correctTimes}
+                      onChange={(e) =>
+                        updateSchedule(e.target.checked ? 'Use corrected print times' : 'Use slicer print times', {
+                          correctTimes: e.target.checked,
+                        })
+                      }
+                    />
+                    Use corrected print times in the plan
+                  </label>
+
+                  {usageByColor.size > 0 && (
+                    <p className="mt-3 text-sm text-slate-600">
+                      Filament used: {printedGrams} g printed
+                      {failedPrints > 0 &&
+                        `, ${wastedGrams} g lost to ${failedPrints} failed ${failedPrints === 1 ? 'print' : 'prints'}`}
+                    </p>
+                  )}
+
+                  {printLog.length === 0 ? (
+                    <p className="mt-4 text-sm text-slate-500">No prints logged yet.</p>
+                  ) : (
+                    <div className="mt-4 overflow-x-auto">
+                      <table className="w-full text-left text-sm">
+                        <thead className="text-xs uppercase text-slate-500">
+                          <tr>
+                            <th className="py-1 pr-3">Plate</th>
+                            {isMultiPrinter && <th className="py-1 pr-3">Printer</th>}
+                            <th className="py-1 pr-3">Started</th>
+                            <th className="py-1 pr-3">Finished</th>
+                            <th className="py-1 pr-3">Estimated</th>
+                            <th className="py-1 pr-3">Actual</th>
+                            <th className="py-1">Swaps</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {printLog.map((entry) => {
+                            const actual = actualMinutes(entry);
+                            const difference =
+                              actual !== null && !entry.failed && entry.estimatedMinutes > 0
+                                ? Math.round((actual / entry.estimatedMinutes - 1) * 100)
+                                : null;
+                            return (
+                              <tr key={entry.id} className="border-t border-slate-100">
+                                <td className="py-1 pr-3">{entry.plateName}</td>
+                                {isMultiPrinter && (
+                                  <td className="py-1 pr-3">{printerNameById.get(entry.printerId) ?? 'Removed printer'}</td>
+                                )}
+                                <td className="py-1 pr-3">{entry.startedAt ? formatDateTime(entry.startedAt) : '-'}</td>
+                                <td className="py-1 pr-3">
+                                  {entry.finishedAt ? formatDateTime(entry.finishedAt) : 'Printing'}
+                                  {entry.failed && (
+                                    <span className="block text-xs font-semibold text-rose-700">
+                                      Failed: {entry.failReason}
+                                      {entry.failNote && ` (${entry.failNote})`}
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="py-1 pr-3">{formatDuration(entry.estimatedMinutes)}</td>
+                                <td className="py-1 pr-3">
+                                  {actual === null ? '-' : formatDuration(actual)}
+                                  {difference !== null && difference !== 0 && (
+                                    <span className={`ml-1 text-xs ${difference > 0 ? 'text-rose-700' : 'text-emerald-700'}`}>
+                                      ({difference > 0 ? '+' : ''}
+                                      {difference}%)
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="py-1">{entry.swaps ?? '-'}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </section>
               </>
             )}
           </div>
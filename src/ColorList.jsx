@@ -0,0 +1,20 @@
+import ColorSwatch from './ColorSwatch';
+
+// Inline list of colors with swatches, for the "Required", "Swap in" and
+// similar lines. `detail` adds text after a color's name, such as grams.
+function ColorList({ colorIds, colorById, empty = 'None', detail }) {
+  const colors = colorIds.map((id) => colorById.get(id)).filter(Boolean);
+  if (colors.length === 0) {
+    return <span>{empty}</span>;
+  }
+
+  return colors.map((color, index) => (
+    <span key={color.id} className="whitespace-nowrap">
+      <ColorSwatch color={color} /> {color.name}
+      {detail && ` ${detail(color)}`}
+      {index < colors.length - 1 && ', '}
+    </span>
+  ));
+}
+
+export default ColorList;
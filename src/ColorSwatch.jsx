@@ -0,0 +1,20 @@
+function colorTitle(color) {
+  return [color.name, color.material, color.brand].filter(Boolean).join(' | ');
+}
+
+// A round sample of a filament color. Colors without a hex value get a
+// dashed outline so they do not read as white.
+function ColorSwatch({ color, size = 'h-3 w-3' }) {
+  return (
+    <span
+      className={`inline-block shrink-0 rounded-full border align-middle ${size} ${
+        color?.hex ? 'border-slate-400' : 'border-dashed border-slate-400 bg-white'
+      }`}
+      style={color?.hex ? { backgroundColor: color.hex } : undefined}
+      title={color ? colorTitle(color) : undefined}
+      aria-hidden="true"
+    />
+  );
+}
+
+export default ColorSwatch;
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { FAILURE_REASONS } from './printLog';
+
+function FailPrintDialog({ plateName, defaultGrams, onConfirm, onCancel }) {
+  const [reason, setReason] = useState(FAILURE_REASONS[0]);
+  const [note, setNote] = useState('');
+  const [grams, setGrams] = useState(String(defaultGrams));
+  const [reprint, setReprint] = useState(false);
+
+  function submit(event) {
+    event.preventDefault();
+    onConfirm({ reason, note: note.trim(), wastedGrams: Math.max(0, parseInt(grams, 10) || 0), reprint });
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-slate-900/50 p-4">
+      <form className="grid w-full max-w-md gap-4 rounded-xl bg-white p-6 shadow-xl" onSubmit={submit}>
+        <div>
+          <h2 className="text-lg font-semibold">Print failed: {plateName}</h2>
+          <p className="mt-1 text-sm text-slate-600">
+            The plate goes back into the plan and the lost filament comes off the spools.
+          </p>
+        </div>
+        <label className="grid gap-1 text-sm font-medium">
+          What went wrong
+          <select
+            className="rounded-md border border-slate-300 px-3 py-2 text-base font-normal"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          >
+            {FAILURE_REASONS.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1 text-sm font-medium">
+          Notes
+          <input
+            className="rounded-md border border-slate-300 px-3 py-2 text-base font-normal"
+            placeholder="Optional"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+        </label>
+        <label className="grid gap-1 text-sm font-medium">
+          Filament wasted (g)
+          <input
+            type="number"
+            min={0}
+            className="rounded-md border border-slate-300 px-3 py-2 text-base font-normal"
+            value={grams}
+            onChange={(e) => setGrams(e.target.value)}
+          />
+          <span className="text-xs font-normal text-slate-500">Estimated from how far the print got.</span>
+        </label>
+        <label className="flex items-center gap-3 text-sm font-medium">
+          <input type="checkbox" className="h-5 w-5" checked={reprint} onChange={(e) => setReprint(e.target.checked)} />
+          Print it again right away (the colors are still loaded)
+        </label>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            className="rounded-md border border-slate-300 px-4 py-2 text-sm font-semibold hover:bg-slate-50"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="rounded-md bg-rose-600 px-4 py-2 text-sm font-semibold text-white hover:bg-rose-500"
+          >
+            Mark failed
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default FailPrintDialog;
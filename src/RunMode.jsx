@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import ColorList from './ColorList';
+import { formatClock, formatDuration } from './format';
+import { slotLabel } from './planner';
+
+function copyName(step) {
+  return step.copies > 1 ? `${step.plateName} (copy ${step.copy} of ${step.copies})` : step.plateName;
+}
+
+function RunStep({ step, nextStep, printerId, colorName, colorById, onStart, onFinish, onFail }) {
+  const [confirmed, setConfirmed] = useState(() => new Set());
+  const slots = step.slotsAfter.length;
+  const describe = (change) =>
+    [change.remove && `remove ${colorName(change.remove)}`, change.load && `load ${colorName(change.load)}`]
+      .filter(Boolean)
+      .join(', ');
+
+  const tasks = step.printing
+    ? []
+    : [
+        ...step.slotChanges.map((change) => ({
+          key: `slot-${change.slot}`,
+          text: `${slotLabel(change.slot, slots)}: ${describe(change)}`,
+        })),
+        ...step.spoolRefills.map((refill) => ({
+          key: `spool-${refill.colorId}`,
+          text: `Put a full ${colorName(refill.colorId)} spool in (${refill.remaining} g left, needs ${refill.needed} g)`,
+        })),
+      ];
+  const ready = tasks.every((task) => confirmed.has(task.key));
+
+  function toggleTask(key) {
+    setConfirmed((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  }
+
+  return (
+    <div className="grid gap-4">
+      <div className="rounded-xl bg-white p-5 shadow">
+        <p className="text-sm font-semibold uppercase tracking-wide text-slate-500">
+          {step.printing ? 'Printing now' : 'Next plate'}
+        </p>
+        <h2 className="mt-1 text-2xl font-bold">{copyName(step)}</h2>
+        <p className="mt-2 text-base text-slate-600">
+          {formatDuration(step.printMinutes)} | {formatClock(step.startAt)} to {formatClock(step.endAt)}
+        </p>
+        <p className="mt-1 text-base text-slate-600">
+          Colors: <ColorList colorIds={step.required} colorById={colorById} />
+        </p>
+        {step.waitMinutes > 0 && !step.printing && (
+          <p className="mt-2 rounded-lg bg-amber-100 px-3 py-2 text-base text-amber-900">
+            Planned to start at {formatClock(step.startAt)}, when someone is around for the swap.
+          </p>
+        )}
+      </div>
+
+      {!step.printing && (
+        <div className="rounded-xl bg-white p-5 shadow">
+          <h3 className="text-lg font-semibold">Before you start</h3>
+          {tasks.length === 0 && <p className="mt-2 text-base text-slate-600">No swaps needed. The AMS is ready.</p>}
+          <ul className="mt-3 grid gap-3">
+            {tasks.map((task) => (
+              <li key={task.key}>
+                <label
+                  className={`flex cursor-pointer items-center gap-4 rounded-xl border-2 p-4 text-lg ${
+                    confirmed.has(task.key) ? 'border-emerald-500 bg-emerald-50' : 'border-slate-300'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    className="h-7 w-7 shrink-0"
+                    checked={confirmed.has(task.key)}
+                    onChange={() => toggleTask(task.key)}
+                  />
+                  {task.text}
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {step.pauses.length > 0 && (
+        <div className="rounded-xl bg-rose-50 p-5 text-rose-900 shadow">
+          <h3 className="text-lg font-semibold">Filament pauses during this plate</h3>
+          <ul className="mt-2 grid gap-2 text-base">
+            {step.pauses.map((pause) => (
+              <li key={pause.at}>
+                <span className="font-semibold">
+                  {pause.byLayer ? `Layer ${pause.at}` : `Before ${colorName(pause.changes[0].load)}`}:
+                </span>{' '}
+                {pause.changes
+                  .map((change) =>
+                    change.slot === null
+                      ? `load ${colorName(change.load)}`
+                      : `${slotLabel(change.slot, slots)}: ${describe(change)}`
+                  )
+                  .join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {step.printing ? (
+        <>
+          <button
+            type="button"
+            className="w-full rounded-xl bg-emerald-600 px-6 py-5 text-xl font-bold text-white hover:bg-emerald-500"
+            onClick={() => onFinish(step, printerId)}
+          >
+            Plate finished
+          </button>
+          <button
+            type="button"
+            className="w-full rounded-xl border-2 border-rose-300 bg-white px-6 py-4 text-lg font-semibold text-rose-700 hover:bg-rose-50"
+            onClick={() => onFail(step, printerId)}
+          >
+            Print failed
+          </button>
+        </>
+      ) : (
+        <button
+          type="button"
+          disabled={!ready}
+          className="w-full rounded-xl bg-slate-900 px-6 py-5 text-xl font-bold text-white hover:bg-slate-800 disabled:opacity-40"
+          onClick={() => onStart(step, printerId)}
+        >
+          {ready ? 'Start print' : 'Confirm each swap first'}
+        </button>
+      )}
+
+      {nextStep && (
+        <p className="text-center text-base text-slate-600">
+          Then: {copyName(nextStep)}
+          {nextStep.swaps > 0 ? ` (${nextStep.swaps} ${nextStep.swaps === 1 ? 'swap' : 'swaps'})` : ' (no swaps)'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function RunMode({ projectName, lanes, colorById, onStart, onFinish, onFail, onClose }) {
+  const [printerId, setPrinterId] = useState(
+    () => (lanes.find((lane) => lane.steps.length > 0) ?? lanes[0])?.printerId ?? null
+  );
+  const lane = lanes.find((l) => l.printerId === printerId) ?? lanes[0];
+  const colorName = (id) => colorById.get(id)?.name;
+  const [step, nextStep] = lane?.steps ?? [];
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto bg-slate-100">
+      <div className="mx-auto grid max-w-xl gap-4 p-4">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm text-slate-500">Guided run</p>
+            <h1 className="text-xl font-bold">{projectName}</h1>
+          </div>
+          <button
+            type="button"
+            className="rounded-xl border-2 border-slate-300 bg-white px-5 py-3 text-base font-semibold hover:bg-slate-50"
+            onClick={onClose}
+          >
+            Exit
+          </button>
+        </div>
+
+        {lanes.length > 1 && (
+          <div className="flex gap-2 overflow-x-auto">
+            {lanes.map((l) => (
+              <button
+                key={l.printerId}
+                type="button"
+                className={`shrink-0 rounded-xl px-5 py-3 text-base font-semibold ${
+                  l.printerId === lane.printerId ? 'bg-slate-900 text-white' : 'border-2 border-slate-300 bg-white'
+                }`}
+                onClick={() => setPrinterId(l.printerId)}
+              >
+                {l.printerName} ({l.steps.length})
+              </button>
+            ))}
+          </div>
+        )}
+
+        {step ? (
+          <RunStep
+            key={`${lane.printerId}:${step.plateId}:${step.copy}:${step.printing}`}
+            step={step}
+            nextStep={nextStep}
+            printerId={lane.printerId}
+            colorName={colorName}
+            colorById={colorById}
+            onStart={onStart}
+            onFinish={onFinish}
+            onFail={onFail}
+          />
+        ) : (
+          <div className="rounded-xl bg-white p-6 text-center shadow">
+            <p className="text-xl font-semibold">All plates on this printer are done.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RunMode;
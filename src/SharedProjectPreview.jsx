@@ -0,0 +1,116 @@
+import { useMemo } from 'react';
+import ColorList from './ColorList';
+import { formatGrams } from './format';
+import { planPrinters, slotLabel } from './planner';
+
+function SharedProjectPreview({ project, onCopy, onClose }) {
+  const printers = useMemo(
+    () => project.printers.map((printer) => ({ ...printer, layout: printer.currentAms })),
+    [project]
+  );
+  const planner = useMemo(
+    () => planPrinters(project, printers, { mode: 'greedy', timeSortOrder: 'asc' }),
+    [project, printers]
+  );
+  const colorNameById = new Map(project.colors.map((c) => [c.id, c.name]));
+  const colorById = new Map(project.colors.map((c) => [c.id, c]));
+  const pendingPlates = project.plates.filter((plate) => !plate.printed);
+  const isMultiPrinter = printers.length > 1;
+
+  return (
+    <section className="mt-8 rounded-xl border-2 border-sky-300 bg-white p-6 shadow">
+      <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-wide text-sky-700">Shared project (read-only)</p>
+          <h2 className="text-xl font-semibold">{project.name}</h2>
+          <p className="mt-1 text-sm text-slate-600">
+            {printers.map((printer) => `${printer.name}: ${printer.amsSlots} AMS slots`).join(' | ')}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className="rounded-md bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800"
+            onClick={onCopy}
+          >
+            Copy to my projects
+          </button>
+          <button
+            type="button"
+            className="rounded-md border border-slate-300 px-4 py-2 text-sm font-semibold hover:bg-slate-100"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-6 grid gap-6 md:grid-cols-2">
+        <div>
+          <h3 className="text-base font-semibold">Colors</h3>
+          <p className="mt-2 text-sm text-slate-700">
+            <ColorList colorIds={project.colors.map((c) => c.id)} colorById={colorById} />
+          </p>
+
+          <h3 className="mt-4 text-base font-semibold">Plates to print</h3>
+          <ul className="mt-2 space-y-1">
+            {pendingPlates.map((plate) => (
+              <li key={plate.id} className="rounded border border-slate-200 px-3 py-2 text-sm">
+                <p className="font-medium">{plate.name}</p>
+                <p className="text-xs text-slate-500">
+                  {plate.printMinutes} min | <ColorList colorIds={plate.colorIds} colorById={colorById} />
+                </p>
+              </li>
+            ))}
+            {pendingPlates.length === 0 && <li className="text-sm text-slate-500">All plates are printed.</li>}
+          </ul>
+        </div>
+
+        <div>
+          <h3 className="text-base font-semibold">Plan</h3>
+          <p className="mt-1 text-sm font-semibold">
+            Estimated swaps: {planner.totalSwaps} | Estimated purge: {formatGrams(planner.purgeGrams)}
+          </p>
+          {planner.lanes.map((lane) => (
+            <div key={lane.printerId} className="mt-3">
+              {isMultiPrinter && <p className="text-sm font-semibold">{lane.printerName}</p>}
+              <ol className="mt-2 space-y-2">
+                {lane.steps.map((step, index) => (
+                  <li key={`${step.plateId}:${step.copy}`} className="rounded border border-slate-200 p-3 text-xs">
+                    <p className="text-sm font-semibold">
+                      {index + 1}. {step.plateName}
+                      {step.copies > 1 && (
+                        <span className="ml-1 font-normal text-slate-500">
+                          (copy {step.copy} of {step.copies})
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-slate-500">
+                      Required: <ColorList colorIds={step.required} colorById={colorById} />
+                    </p>
+                    {step.slotChanges.map((change) => (
+                      <p key={change.slot} className="text-slate-700">
+                        {slotLabel(change.slot, step.slotsAfter.length)}:{' '}
+                        {[
+                          change.remove && `remove ${colorNameById.get(change.remove)}`,
+                          change.load && `load ${colorNameById.get(change.load)}`,
+                        ]
+                          .filter(Boolean)
+                          .join(', ')}
+                      </p>
+                    ))}
+                    {step.requiresPauseAndFilamentSwap && (
+                      <p className="mt-1 font-semibold text-rose-700">Requires Pause and Filament Swap</p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default SharedProjectPreview;
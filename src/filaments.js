@@ -0,0 +1,140 @@
+const NAMED_COLORS = [
+  ['Black', [0, 0, 0]],
+  ['White', [255, 255, 255]],
+  ['Gray', [128, 128, 128]],
+  ['Silver', [192, 192, 192]],
+  ['Red', [200, 30, 40]],
+  ['Orange', [245, 130, 30]],
+  ['Yellow', [245, 215, 40]],
+  ['Green', [40, 160, 70]],
+  ['Teal', [0, 140, 140]],
+  ['Blue', [30, 80, 200]],
+  ['Navy', [20, 30, 90]],
+  ['Purple', [120, 60, 170]],
+  ['Pink', [240, 140, 180]],
+  ['Brown', [120, 75, 40]],
+  ['Beige', [225, 200, 160]],
+  ['Gold', [212, 175, 55]],
+];
+
+export function normalizeHex(value) {
+  const match = /^#?([0-9a-f]{6})(?:[0-9a-f]{2})?$/i.exec(String(value ?? '').trim());
+  return match ? `#${match[1].toUpperCase()}` : null;
+}
+
+export function hexToRgb(hex) {
+  const normalized = normalizeHex(hex);
+  if (!normalized) {
+    return null;
+  }
+  const value = parseInt(normalized.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+export function hexColorName(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) {
+    return 'Filament';
+  }
+
+  let best = NAMED_COLORS[0];
+  let bestDistance = Number.POSITIVE_INFINITY;
+  for (const entry of NAMED_COLORS) {
+    const distance = entry[1].reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+    if (distance < bestDistance) {
+      best = entry;
+      bestDistance = distance;
+    }
+  }
+  return best[0];
+}
+
+// Filament presets are named like "Bambu PLA Basic @BBL X1C"; the part
+// after "@" is the printer profile and only adds noise.
+export function presetName(value) {
+  return String(value ?? '')
+    .replace(/\s*@.*$/, '')
+    .trim();
+}
+
+export function filamentDisplayName({ hex, material, preset }) {
+  const base = presetName(preset) || material || '';
+  return `${hexColorName(hex)} ${base}`.trim();
+}
+
+export const MATERIALS = ['PLA', 'PETG', 'ABS', 'ASA', 'TPU', 'PA', 'PC', 'HIPS', 'PVA', 'BVOH'];
+
+// Usual bed temperature range per material in °C. The colors of one plate
+// share the bed, so materials whose ranges do not meet cannot print together.
+const BED_TEMPERATURES = {
+  PLA: [35, 65],
+  PETG: [65, 85],
+  ABS: [90, 110],
+  ASA: [90, 110],
+  TPU: [30, 60],
+  PA: [80, 100],
+  PC: [100, 120],
+  HIPS: [90, 110],
+  PVA: [35, 65],
+  BVOH: [35, 70],
+};
+
+// Typical density per material in g/cm³, for turning flush volumes into grams.
+const DENSITIES = {
+  PLA: 1.24,
+  PETG: 1.27,
+  ABS: 1.04,
+  ASA: 1.07,
+  TPU: 1.21,
+  PA: 1.14,
+  PC: 1.2,
+  HIPS: 1.04,
+  PVA: 1.23,
+  BVOH: 1.14,
+};
+
+// Slicers add finishes and fillers to the name ("PLA Matte", "PETG-CF");
+// the leading material decides the temperatures.
+export function baseMaterial(material) {
+  const token = /^[a-z]+/i.exec(String(material ?? '').trim())?.[0]?.toUpperCase() ?? '';
+  return BED_TEMPERATURES[token] ? token : null;
+}
+
+// Returns the first pair of materials that need beds too far apart, or null.
+export function materialConflict(materials) {
+  const known = [...new Set(materials.map(baseMaterial).filter(Boolean))];
+  for (let i = 0; i < known.length; i += 1) {
+    for (let j = i + 1; j < known.length; j += 1) {
+      const [aLow, aHigh] = BED_TEMPERATURES[known[i]];
+      const [bLow, bHigh] = BED_TEMPERATURES[known[j]];
+      if (aHigh < bLow || bHigh < aLow) {
+        return [known[i], known[j]];
+      }
+    }
+  }
+  return null;
+}
+
+export function materialDensity(material) {
+  return DENSITIES[baseMaterial(material)] ?? DENSITIES.PLA;
+}
+
+function luminance([red, green, blue]) {
+  return (0.2126 * red + 0.7152 * green + 0.0722 * blue) / 255;
+}
+
+// Flush volume in mm³ for changing from one color to another, in the range
+// slicers suggest. Going lighter takes the most, since the darker pigment
+// keeps tinting the new color; very different hues add a little. Colors
+// without a hex get a middling volume.
+export function defaultFlushVolume(fromHex, toHex) {
+  const from = hexToRgb(fromHex);
+  const to = hexToRgb(toHex);
+  if (!from || !to) {
+    return 300;
+  }
+
+  const lighter = Math.max(0, luminance(to) - luminance(from));
+  const distance = Math.sqrt(from.reduce((sum, channel, i) => sum + (channel - to[i]) ** 2, 0)) / (255 * Math.sqrt(3));
+  return Math.round((120 + 600 * lighter + 150 * distance) / 10) * 10;
+}
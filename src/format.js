@@ -0,0 +1,17 @@
+export function formatClock(time) {
+  return new Date(time).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+export function formatDuration(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  return hours > 0 ? `${hours} h ${rounded % 60} min` : `${rounded} min`;
+}
+
+export function formatDateTime(time) {
+  return new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+export function formatGrams(grams) {
+  return `${grams < 10 ? grams.toFixed(1) : Math.round(grams)} g`;
+}
@@ -0,0 +1,104 @@
+import { normalizeHex } from './filaments';
+
+const TIME_PATTERNS = [
+  /^;\s*estimated printing time \(normal mode\)\s*=\s*(.+)$/im,
+  /total estimated time:\s*([^;\n]+)/i,
+  /^;\s*estimated printing time\s*=\s*(.+)$/im,
+];
+
+function parseDuration(text) {
+  let seconds = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*([dhms])/gi)) {
+    seconds += Number(amount) * { d: 86400, h: 3600, m: 60, s: 1 }[unit.toLowerCase()];
+  }
+  return seconds;
+}
+
+function readSetting(text, key) {
+  const match = new RegExp(`^;\\s*${key}\\s*[=:]\\s*(.*)$`, 'im').exec(text);
+  if (!match) {
+    return [];
+  }
+  return match[1]
+    .split(/[;,]/)
+    .map((value) => value.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function readSeconds(text) {
+  for (const pattern of TIME_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) {
+      return parseDuration(match[1]);
+    }
+  }
+
+  const cura = /^;TIME:(\d+)/m.exec(text);
+  return cura ? Number(cura[1]) : 0;
+}
+
+// Filaments listed in the header are only "used" when the toolpath selects
+// them (T<n>, or M620 S<n> on Bambu printers) or the slicer reports grams for
+// them; multi-material profiles often list every loaded filament.
+function readUsedTools(text, filamentCount) {
+  const used = new Set();
+  for (const line of text.split('\n')) {
+    const match = /^\s*(?:T(\d+)\b|M620\s+S(\d+))/i.exec(line);
+    if (match) {
+      const tool = Number(match[1] ?? match[2]);
+      if (filamentCount === 0 || tool < filamentCount) {
+        used.add(tool);
+      }
+    }
+  }
+  return used;
+}
+
+// Per-filament grams; the slicers' total line is skipped, as it would read
+// as the first filament's weight.
+const GRAMS_KEY = 'filament used \\[g\\]';
+
+export function parseGcode(text, name) {
+  const colors = readSetting(text, 'filament_colour');
+  const extruderColors = readSetting(text, 'extruder_colour');
+  const types = readSetting(text, 'filament_type');
+  const presets = readSetting(text, 'filament_settings_id');
+  const grams = readSetting(text, GRAMS_KEY).map(Number);
+  const filamentCount = Math.max(colors.length, types.length, presets.length, grams.length);
+
+  const used = readUsedTools(text, filamentCount);
+  const hasGrams = grams.some((value) => value > 0);
+  for (let index = 0; index < grams.length; index += 1) {
+    if (grams[index] > 0) {
+      used.add(index);
+    } else if (hasGrams) {
+      used.delete(index);
+    }
+  }
+  if (used.size === 0) {
+    used.add(0);
+  }
+
+  const filaments = [...used]
+    .sort((a, b) => a - b)
+    .map((index) => ({
+      hex: normalizeHex(colors[index]) ?? normalizeHex(extruderColors[index]),
+      material: types[index] || null,
+      preset: presets[index] || null,
+      grams: Math.round(grams[index] || 0),
+    }));
+
+  return {
+    name,
+    printMinutes: Math.round(readSeconds(text) / 60),
+    filaments,
+  };
+}
+
+export async function readGcode(file) {
+  const text = await file.text();
+  if (!/^\s*(;|G\d|M\d|T\d)/m.test(text)) {
+    throw new Error(`${file.name} does not look like a G-code file.`);
+  }
+
+  return { plates: [parseGcode(text, file.name.replace(/\.(gcode|gco|g)$/i, ''))] };
+}
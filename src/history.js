@@ -0,0 +1,201 @@
+import { STATE_VERSION, uid } from './storage';
+
+export const HISTORY_KEY = 'filament-swapper-history';
+export const HISTORY_LIMIT = 30;
+
+const MERGE_WINDOW_MS = 1500;
+
+export function emptyHistory() {
+  return { past: [], future: [] };
+}
+
+function sameProjects(a, b) {
+  return a.length === b.length && a.every((project, index) => project === b[index]);
+}
+
+function selectAfterTravel(state, projects, projectId) {
+  if (projects.some((project) => project.id === projectId)) {
+    return projectId;
+  }
+  if (projects.some((project) => project.id === state.selectedProjectId)) {
+    return state.selectedProjectId;
+  }
+  return projects[0]?.id ?? null;
+}
+
+// Replaces the project list with `projects` (and the workspace, for edits to
+// library colors or printers) and records the previous ones as an undo entry.
+// Repeated edits with the same label in quick succession, such as typing into
+// a number field, fold into a single entry.
+export function recordChange(state, label, projects, projectId = null, workspace = state.workspace) {
+  if (sameProjects(projects, state.projects) && workspace === state.workspace) {
+    return state;
+  }
+
+  const { past, future } = state.history;
+  const now = Date.now();
+  const last = past[past.length - 1];
+  const mergeable = future.length === 0 && last?.label === label && last.projectId === projectId;
+  if (mergeable && now - last.at < MERGE_WINDOW_MS) {
+    return {
+      ...state,
+      projects,
+      workspace,
+      history: { past: [...past.slice(0, -1), { ...last, at: now }], future: [] },
+    };
+  }
+
+  const entry = { id: uid(), label, projectId, at: now, projects: state.projects, workspace: state.workspace };
+  return { ...state, projects, workspace, history: { past: [...past, entry].slice(-HISTORY_LIMIT), future: [] } };
+}
+
+// Puts the items that changed between `before` and `after` into `list` as
+// they are in `after`, adding and dropping them the same way.
+function rebaseList(list, before, after) {
+  const beforeById = new Map(before.map((item) => [item.id, item]));
+  const afterById = new Map(after.map((item) => [item.id, item]));
+  const changed = new Set(
+    [...beforeById.keys(), ...afterById.keys()].filter((id) => beforeById.get(id) !== afterById.get(id))
+  );
+  if (changed.size === 0) {
+    return list;
+  }
+
+  const listIds = new Set(list.map((item) => item.id));
+  return [
+    ...list.map((item) => (changed.has(item.id) ? afterById.get(item.id) : item)).filter(Boolean),
+    ...after.filter((item) => changed.has(item.id) && !listIds.has(item.id)),
+  ];
+}
+
+function rebaseEntry(entry, before, after) {
+  const projects = rebaseList(entry.projects, before.projects, after.projects);
+  const colors = rebaseList(entry.workspace.colors, before.workspace.colors, after.workspace.colors);
+  const printers = rebaseList(entry.workspace.printers, before.workspace.printers, after.workspace.printers);
+  if (projects === entry.projects && colors === entry.workspace.colors && printers === entry.workspace.printers) {
+    return entry;
+  }
+  return { ...entry, projects, workspace: { colors, printers } };
+}
+
+// Changes taken in from another tab are not this tab's to undo, so every undo
+// and redo entry gets them too; otherwise stepping through history would put
+// back the copies from before and save those over the other tab's edit.
+export function rebaseHistory(history, before, after) {
+  return {
+    past: history.past.map((entry) => rebaseEntry(entry, before, after)),
+    future: history.future.map((entry) => rebaseEntry(entry, before, after)),
+  };
+}
+
+// Linked printers report their AMS layout themselves, so stepping through
+// history keeps the one they last reported instead of an older reading.
+function keepLiveAms(workspace, current, livePrinterIds) {
+  const live = new Map(
+    current.printers.filter((printer) => livePrinterIds.includes(printer.id)).map((printer) => [printer.id, printer])
+  );
+  if (live.size === 0 || workspace === current) {
+    return workspace;
+  }
+  return {
+    ...workspace,
+    printers: workspace.printers.map((printer) =>
+      live.has(printer.id) ? { ...printer, currentAms: live.get(printer.id).currentAms } : printer
+    ),
+  };
+}
+
+// Past entries hold the project list and workspace from before their change
+// and future entries the ones from after it, so stepping either way swaps the
+// current ones with the entry's.
+export function undo(state, steps = 1, livePrinterIds = []) {
+  let { past, future } = state.history;
+  let { projects, workspace } = state;
+  let projectId = null;
+  for (let step = 0; step < steps && past.length > 0; step += 1) {
+    const entry = past[past.length - 1];
+    past = past.slice(0, -1);
+    future = [{ ...entry, projects, workspace }, ...future];
+    ({ projects, workspace } = entry);
+    projectId = entry.projectId;
+  }
+
+  if (projects === state.projects && workspace === state.workspace) {
+    return state;
+  }
+  return {
+    ...state,
+    projects,
+    workspace: keepLiveAms(workspace, state.workspace, livePrinterIds),
+    selectedProjectId: selectAfterTravel(state, projects, projectId),
+    history: { past, future },
+  };
+}
+
+export function redo(state, steps = 1, livePrinterIds = []) {
+  let { past, future } = state.history;
+  let { projects, workspace } = state;
+  let projectId = null;
+  for (let step = 0; step < steps && future.length > 0; step += 1) {
+    const [entry] = future;
+    future = future.slice(1);
+    past = [...past, { ...entry, projects, workspace }];
+    ({ projects, workspace } = entry);
+    projectId = entry.projectId;
+  }
+
+  if (projects === state.projects && workspace === state.workspace) {
+    return state;
+  }
+  return {
+    ...state,
+    projects,
+    workspace: keepLiveAms(workspace, state.workspace, livePrinterIds),
+    selectedProjectId: selectAfterTravel(state, projects, projectId),
+    history: { past, future },
+  };
+}
+
+function isEntry(entry) {
+  return (
+    Boolean(entry) &&
+    typeof entry.label === 'string' &&
+    Array.isArray(entry.projects) &&
+    Array.isArray(entry.workspace?.colors) &&
+    Array.isArray(entry.workspace?.printers)
+  );
+}
+
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) ?? 'null');
+    if (saved?.version !== STATE_VERSION || !Array.isArray(saved.past) || !Array.isArray(saved.future)) {
+      return emptyHistory();
+    }
+    return {
+      past: saved.past.filter(isEntry).slice(-HISTORY_LIMIT),
+      future: saved.future.filter(isEntry).slice(0, HISTORY_LIMIT),
+    };
+  } catch {
+    return emptyHistory();
+  }
+}
+
+// Each entry is a full copy of the project list and workspace, so when
+// storage runs out the oldest undo steps and the redo steps are dropped first.
+export function saveHistory(history) {
+  let { past, future } = history;
+  for (;;) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({ version: STATE_VERSION, past, future }));
+      return;
+    } catch {
+      if (past.length === 0 && future.length === 0) {
+        localStorage.removeItem(HISTORY_KEY);
+        return;
+      }
+      future = [];
+      past = past.slice(Math.ceil(past.length / 2));
+    }
+  }
+}
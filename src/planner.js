@@ -0,0 +1,1556 @@
+import { defaultFlushVolume, materialConflict, materialDensity } from './filaments';
+
+export const EXACT_PLATE_LIMIT = 15;
+const EXACT_NODE_BUDGET = 300000;
+const EXACT_TIME_BUDGET_MS = 400;
+const SEARCH_CACHE_SIZE = 8;
+export const DEFAULT_SPOOL_GRAMS = 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+export const PLATE_PRIORITIES = [
+  { value: 'high', label: 'High' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'low', label: 'Low' },
+];
+
+// Swaps a priority is worth: a high priority plate goes ahead of plates that
+// need up to two fewer swaps, a low priority one waits for plates needing up
+// to two more.
+const PRIORITY_SWAPS = { high: 2, normal: 0, low: -2 };
+
+export const PLAN_COSTS = [
+  { value: 'swaps', label: 'Fewest swaps' },
+  { value: 'purge', label: 'Least purge' },
+];
+
+// When planning for purge, each swap of priority is worth this many grams of
+// purge instead.
+const PRIORITY_PURGE_GRAMS = 0.5;
+// Cutting, unloading and loading filament, before the flush itself.
+const CHANGE_SECONDS = 35;
+const FLUSH_MM3_PER_SECOND = 12;
+const NO_PURGE = { grams: 0, seconds: 0 };
+// Swaps per hundredth of a gram of purge in the exact search, so purge counts
+// first and swaps settle ties.
+const PURGE_SCALE = 1000;
+
+export function plateMinutes(plate) {
+  return Number(plate.printMinutes) > 0 ? Number(plate.printMinutes) : 0;
+}
+
+export function copiesLeft(plate) {
+  return plate.printed ? 0 : Math.max(0, (plate.quantity ?? 1) - (plate.printedCount ?? 0));
+}
+
+// One entry per copy still to print. Copies keep the plate's id, so they share
+// its dependencies, deadline and locks; only the first copy is the one
+// printing or being retried.
+function expandCopies(plates) {
+  return plates.flatMap((plate) => {
+    const count = copiesLeft(plate);
+    if (count <= 1) {
+      return count === 1 ? [plate] : [];
+    }
+    return Array.from({ length: count }, (_, copy) =>
+      copy === 0 ? plate : { ...plate, printing: false, failed: false }
+    );
+  });
+}
+
+// Numbers the copies of each plate in plan order, after the ones printed.
+function numberCopies(lanes, plates) {
+  const byId = new Map(plates.map((plate) => [plate.id, plate]));
+  const seen = new Map();
+  return lanes.map((lane) => ({
+    ...lane,
+    steps: lane.steps.map((step) => {
+      const plate = byId.get(step.plateId);
+      const copy = (seen.get(step.plateId) ?? plate?.printedCount ?? 0) + 1;
+      seen.set(step.plateId, copy);
+      return { ...step, copy, copies: plate?.quantity ?? 1 };
+    }),
+  }));
+}
+
+export function plateColorGrams(plate) {
+  const grams = {};
+  for (const colorId of plate.colorIds) {
+    const value = Number(plate.colorGrams?.[colorId]);
+    if (value > 0) {
+      grams[colorId] = value;
+    }
+  }
+  return grams;
+}
+
+// Flush volume in mm³ from one color to the next: the project's own value
+// for the pair, else the default from both hex colors.
+export function flushVolume(project, fromId, toId) {
+  if (!fromId || !toId || fromId === toId) {
+    return 0;
+  }
+  const saved = project.flushVolumes?.[fromId]?.[toId];
+  if (Number.isFinite(saved)) {
+    return saved;
+  }
+  const hexOf = (colorId) => project.colors.find((color) => color.id === colorId)?.hex;
+  return defaultFlushVolume(hexOf(fromId), hexOf(toId));
+}
+
+// Colors in the order a plate first uses them, and the one it ends on: by
+// layer range when every color has one, else in the entered order.
+function plateColorOrder(plate) {
+  const ranges = plateColorRanges(plate);
+  if (ranges.length === 0 || !ranges.every((range) => range.firstLayer !== null && range.lastLayer !== null)) {
+    const order = ranges.map((range) => range.colorId);
+    return { order, last: order[order.length - 1] ?? null };
+  }
+  const order = [...ranges].sort((a, b) => a.firstLayer - b.firstLayer).map((range) => range.colorId);
+  const last = ranges.reduce((top, range) => (range.lastLayer > top.lastLayer ? range : top)).colorId;
+  return { order, last };
+}
+
+// Purge estimates for a project's plates, looked up by plate id so that the
+// copies planning works on (pinned colors left out) still count every color.
+// A plate changes color at least once per extra color; with `colorChanges`
+// from the slicer, the changes beyond that cycle through its colors.
+function flushModel(project) {
+  const colorById = new Map(project.colors.map((color) => [color.id, color]));
+  const plateById = new Map(project.plates.map((plate) => [plate.id, plate]));
+  const changes = new Map();
+  const orders = new Map();
+  const plates = new Map();
+
+  function change(fromId, toId) {
+    const key = `${fromId}>${toId}`;
+    if (!changes.has(key)) {
+      const volume = flushVolume(project, fromId, toId);
+      changes.set(
+        key,
+        fromId && toId && fromId !== toId
+          ? {
+              grams: (volume * materialDensity(colorById.get(toId)?.material)) / 1000,
+              seconds: CHANGE_SECONDS + volume / FLUSH_MM3_PER_SECOND,
+            }
+          : NO_PURGE
+      );
+    }
+    return changes.get(key);
+  }
+
+  function orderOf(plateId) {
+    if (!orders.has(plateId)) {
+      const plate = plateById.get(plateId);
+      orders.set(plateId, plate ? plateColorOrder(plate) : { order: [], last: null });
+    }
+    return orders.get(plateId);
+  }
+
+  function within(plateId) {
+    if (!plates.has(plateId)) {
+      const { order } = orderOf(plateId);
+      const path = { grams: 0, seconds: 0 };
+      const cycle = { grams: 0, seconds: 0 };
+      order.forEach((colorId, index) => {
+        const next = change(colorId, order[(index + 1) % order.length]);
+        if (index < order.length - 1) {
+          path.grams += next.grams;
+          path.seconds += next.seconds;
+        }
+        cycle.grams += next.grams;
+        cycle.seconds += next.seconds;
+      });
+      const least = Math.max(0, order.length - 1);
+      const extra = order.length > 1 ? Math.max(0, (plateById.get(plateId).colorChanges ?? least) - least) : 0;
+      plates.set(plateId, {
+        grams: path.grams + (extra * cycle.grams) / Math.max(1, order.length),
+        seconds: path.seconds + (extra * cycle.seconds) / Math.max(1, order.length),
+      });
+    }
+    return plates.get(plateId);
+  }
+
+  return {
+    first: (plateId) => orderOf(plateId).order[0] ?? null,
+    last: (plateId) => orderOf(plateId).last,
+    change,
+    within,
+    // From the color one plate ends on to the one the next starts with.
+    between: (fromPlateId, toPlateId) =>
+      fromPlateId ? change(orderOf(fromPlateId).last, orderOf(toPlateId).order[0] ?? null) : NO_PURGE,
+  };
+}
+
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Purge of each step in plan order, counting the change from the plate
+// before it on the same printer. The first plate starts from whatever is in
+// the nozzle, which the planner does not know.
+function stepPurges(steps, flush) {
+  return steps.map((step, index) => {
+    const own = flush.within(step.plateId);
+    const before = flush.between(steps[index - 1]?.plateId ?? null, step.plateId);
+    return { grams: own.grams + before.grams, seconds: own.seconds + before.seconds };
+  });
+}
+
+function purgeGrams(steps, flush) {
+  return stepPurges(steps, flush).reduce((sum, purge) => sum + purge.grams, 0);
+}
+
+function planPurge(lanes, project) {
+  const flush = flushModel(project);
+  return lanes.map((lane) => {
+    const purges = stepPurges(lane.steps, flush);
+    return {
+      ...lane,
+      steps: lane.steps.map((step, index) => ({
+        ...step,
+        purgeGrams: roundTenth(purges[index].grams),
+        purgeMinutes: roundTenth(purges[index].seconds / 60),
+      })),
+      purgeGrams: roundTenth(purges.reduce((sum, purge) => sum + purge.grams, 0)),
+      purgeMinutes: roundTenth(purges.reduce((sum, purge) => sum + purge.seconds, 0) / 60),
+    };
+  });
+}
+
+// Whether `plateId` has to wait for `otherId`, directly or through the plates
+// it waits for.
+export function mustPrintAfter(plates, plateId, otherId) {
+  const byId = new Map(plates.map((plate) => [plate.id, plate]));
+  const seen = new Set();
+  const waiting = [plateId];
+  while (waiting.length > 0) {
+    const id = waiting.pop();
+    for (const before of byId.get(id)?.printAfter ?? []) {
+      if (before === otherId) {
+        return true;
+      }
+      if (!seen.has(before)) {
+        seen.add(before);
+        waiting.push(before);
+      }
+    }
+  }
+  return false;
+}
+
+// Minutes after the plan start by which each plate has to be done: its own
+// due date, or earlier when a plate waiting for it is due and needs time to
+// print afterwards. Plates with neither are left out.
+export function plateDeadlines(plates, startAt) {
+  const deadlines = new Map();
+  if (startAt === null || startAt === undefined) {
+    return deadlines;
+  }
+
+  const byId = new Map(plates.map((plate) => [plate.id, plate]));
+  function settle(plate, deadline) {
+    if (deadline >= (deadlines.get(plate.id) ?? Number.POSITIVE_INFINITY)) {
+      return;
+    }
+    deadlines.set(plate.id, deadline);
+    for (const before of plate.printAfter ?? []) {
+      if (byId.has(before)) {
+        settle(byId.get(before), deadline - plateMinutes(plate) * Math.max(1, copiesLeft(plate)));
+      }
+    }
+  }
+
+  for (const plate of plates) {
+    if (plate.dueAt) {
+      settle(plate, (Date.parse(plate.dueAt) - startAt) / MINUTE_MS);
+    }
+  }
+  return deadlines;
+}
+
+// Plates due soonest first, back to back from `elapsed`, ignoring swaps and
+// the plates without a deadline: how many of them would still finish late.
+function lateCount(plates, deadlines, elapsed) {
+  let time = elapsed;
+  let late = 0;
+  const due = plates.filter((plate) => deadlines.has(plate.id));
+  due.sort((a, b) => deadlines.get(a.id) - deadlines.get(b.id));
+  for (const plate of due) {
+    time += plateMinutes(plate);
+    if (time > deadlines.get(plate.id)) {
+      late += 1;
+    }
+  }
+  return late;
+}
+
+// A plate is ready once the plates it waits for are out of `pending`; waiting
+// for plates on other printers is left to the user. A plate already printing
+// is always ready.
+function readyPlates(pending) {
+  const pendingIds = new Set(pending.map((plate) => plate.id));
+  const ready = pending.map(
+    (plate) => plate.printing || (plate.printAfter ?? []).every((before) => !pendingIds.has(before))
+  );
+  // Only a dependency loop leaves nothing ready; print in any order then.
+  return ready.some(Boolean) ? ready : pending.map(() => true);
+}
+
+export function normalizeAmsLayout(layout, slots) {
+  const source = Array.isArray(layout) ? layout : [];
+  const seen = new Set();
+  return Array.from({ length: slots }, (_, index) => {
+    const colorId = source[index] ?? null;
+    if (!colorId || seen.has(colorId)) {
+      return null;
+    }
+    seen.add(colorId);
+    return colorId;
+  });
+}
+
+export function slotLabel(index, slots) {
+  if (slots > 4) {
+    return `AMS ${Math.floor(index / 4) + 1} slot ${(index % 4) + 1}`;
+  }
+  return `Slot ${index + 1}`;
+}
+
+export function colorFrequency(plates) {
+  const freq = new Map();
+  for (const plate of plates) {
+    for (const colorId of plate.colorIds) {
+      freq.set(colorId, (freq.get(colorId) ?? 0) + 1);
+    }
+  }
+  return freq;
+}
+
+export function chooseNextSet(currentSet, requiredSet, futurePlates, slots) {
+  const freq = colorFrequency(futurePlates);
+  const next = new Set(requiredSet);
+
+  const candidates = [...currentSet].filter((c) => !next.has(c));
+  candidates.sort((a, b) => (freq.get(b) ?? 0) - (freq.get(a) ?? 0));
+
+  for (const colorId of candidates) {
+    if (next.size >= slots) {
+      break;
+    }
+    next.add(colorId);
+  }
+
+  const remaining = new Set();
+  for (const plate of futurePlates) {
+    for (const colorId of plate.colorIds) {
+      if (!next.has(colorId)) {
+        remaining.add(colorId);
+      }
+    }
+  }
+
+  for (const colorId of remaining) {
+    if (next.size >= slots) {
+      break;
+    }
+    next.add(colorId);
+  }
+
+  return next;
+}
+
+export function plateColorRanges(plate) {
+  const colorIds = [...new Set(plate.colorIds)];
+  const saved = Array.isArray(plate.colorRanges) ? plate.colorRanges : [];
+  const ordered = saved.filter((range) => colorIds.includes(range.colorId));
+  for (const colorId of colorIds) {
+    if (!ordered.some((range) => range.colorId === colorId)) {
+      ordered.push({ colorId, firstLayer: null, lastLayer: null });
+    }
+  }
+  return ordered.map((range) => ({
+    colorId: range.colorId,
+    firstLayer: Number.isInteger(range.firstLayer) ? range.firstLayer : null,
+    lastLayer: Number.isInteger(range.lastLayer) ? range.lastLayer : null,
+  }));
+}
+
+// Plans a plate that needs more colors than there are slots. Each color is
+// in use over one interval: its layer range when every color has one, else
+// its position in the entered order. A pause loads a color right before its
+// interval starts, replacing a color that is finished on this plate (ones no
+// later plate needs go first) or, failing that, the loaded color that starts
+// last.
+export function schedulePauses(plate, currentSet, futureColors, slots) {
+  const ranges = plateColorRanges(plate);
+  const useLayers = ranges.every((range) => range.firstLayer !== null && range.lastLayer !== null);
+  const intervals = ranges
+    .map((range, index) => ({
+      colorId: range.colorId,
+      start: useLayers ? range.firstLayer : index,
+      end: useLayers ? Math.max(range.firstLayer, range.lastLayer) : index,
+    }))
+    .sort((a, b) => a.start - b.start);
+  const intervalOf = new Map(intervals.map((interval) => [interval.colorId, interval]));
+
+  const startSet = new Set();
+  for (const interval of intervals) {
+    if (interval.start === intervals[0].start) {
+      startSet.add(interval.colorId);
+    }
+  }
+  const preloaded = [...intervals].sort(
+    (a, b) => Number(currentSet.has(b.colorId)) - Number(currentSet.has(a.colorId)) || a.start - b.start
+  );
+  for (const interval of preloaded) {
+    if (startSet.size >= slots) {
+      break;
+    }
+    startSet.add(interval.colorId);
+  }
+  for (const colorId of currentSet) {
+    if (startSet.size >= slots) {
+      break;
+    }
+    startSet.add(colorId);
+  }
+
+  let error = null;
+  const loaded = new Set(startSet);
+  const pauses = [];
+  for (const interval of intervals) {
+    if (loaded.has(interval.colorId)) {
+      continue;
+    }
+
+    let remove = null;
+    if (loaded.size >= slots) {
+      const finished = [...loaded].filter((colorId) => {
+        const own = intervalOf.get(colorId);
+        return !own || own.end < interval.start;
+      });
+      const idle = [...loaded]
+        .filter((colorId) => intervalOf.get(colorId)?.start > interval.start)
+        .sort((a, b) => intervalOf.get(b).start - intervalOf.get(a).start);
+      remove =
+        finished.find((colorId) => !futureColors.has(colorId)) ?? finished[0] ?? idle[0] ?? null;
+      if (remove) {
+        loaded.delete(remove);
+      } else if (!error) {
+        error = `More than ${slots} colors are in use at ${useLayers ? `layer ${interval.start}` : 'once'}.`;
+      }
+    }
+    loaded.add(interval.colorId);
+
+    const last = pauses[pauses.length - 1];
+    const change = { remove, load: interval.colorId };
+    if (last && last.at === interval.start) {
+      last.changes.push(change);
+    } else {
+      pauses.push({ at: interval.start, byLayer: useLayers, changes: [change] });
+    }
+  }
+
+  const startLoads = [...startSet].filter((colorId) => !currentSet.has(colorId)).length;
+  const pauseLoads = pauses.reduce((sum, pause) => sum + pause.changes.length, 0);
+  return { startSet, endSet: loaded, pauses, loads: startLoads + pauseLoads, error };
+}
+
+function makePauseStep(plate, currentSet, futureColors, slots) {
+  const schedule = schedulePauses(plate, currentSet, futureColors, slots);
+  const step = makeStep(plate, currentSet, schedule.startSet, slots);
+
+  return {
+    ...step,
+    startSet: [...schedule.startSet],
+    after: [...schedule.endSet],
+    swaps: schedule.loads,
+    pauses: schedule.pauses,
+    pauseError: schedule.error,
+  };
+}
+
+function makeStep(plate, currentSet, nextSet, slots) {
+  const requiredSet = new Set(plate.colorIds);
+  const remove = [];
+  const add = [];
+
+  for (const colorId of currentSet) {
+    if (!nextSet.has(colorId)) {
+      remove.push(colorId);
+    }
+  }
+
+  for (const colorId of nextSet) {
+    if (!currentSet.has(colorId)) {
+      add.push(colorId);
+    }
+  }
+
+  return {
+    plateId: plate.id,
+    plateName: plate.name,
+    printMinutes: plateMinutes(plate),
+    grams: plateColorGrams(plate),
+    required: [...requiredSet],
+    before: [...currentSet],
+    after: [...nextSet],
+    swaps: add.length,
+    swapOut: remove,
+    swapIn: add,
+    requiresPauseAndFilamentSwap: requiredSet.size > slots,
+    startSet: [...nextSet],
+    pauses: [],
+    pauseError: null,
+    printing: Boolean(plate.printing),
+    priority: plate.priority ?? 'normal',
+    dueAt: plate.dueAt ?? null,
+  };
+}
+
+function stepFor(plate, currentSet, pending, slots) {
+  const requiredSet = new Set(plate.colorIds);
+  return requiredSet.size > slots
+    ? makePauseStep(plate, currentSet, new Set(pending.flatMap((p) => p.colorIds)), slots)
+    : makeStep(plate, currentSet, chooseNextSet(currentSet, requiredSet, pending, slots), slots);
+}
+
+// Locked plates take the place the user gave them and the greedy choice
+// fills the rest. A plate printing now still goes first, and so do the plates
+// a locked plate waits for, so a locked plate pushed back goes as soon as it
+// can. `locks` maps plan positions to plate ids, with null where the planner
+// chooses; copies of a plate share its positions. `lockedAt` maps plate ids
+// to the positions left, soonest first.
+function lockedPlateIndex(pending, ready, lockedAt, lockedOnly, position) {
+  let index = -1;
+  const unlockedLeft = pending.some((plate, i) => ready[i] && !lockedOnly(plate));
+  for (let i = 0; i < pending.length; i += 1) {
+    const at = lockedAt.get(pending[i].id)?.[0];
+    const due = at !== undefined && ready[i] && (at <= position || !unlockedLeft);
+    if (due && (index === -1 || at < lockedAt.get(pending[index].id)[0])) {
+      index = i;
+    }
+  }
+  return index;
+}
+
+// Greedy order: each step takes the ready plate needing the fewest swaps,
+// with priorities counted as swaps. With a `flush` model (see flushModel) the
+// plate that purges least after the previous one goes first and swaps only
+// break ties. When that choice would make a plate miss its deadline (see
+// plateDeadlines) that could otherwise be met, the plate due soonest goes
+// instead.
+export function buildPlan(
+  project,
+  currentAms,
+  timeSortOrder,
+  { locks = [], deadlines = new Map(), flush = null } = {}
+) {
+  const slots = Number(project.amsSlots) || 4;
+  const remaining = project.plates.filter((p) => !p.printed);
+  let currentSet = new Set(currentAms);
+  const pending = [...remaining];
+  const steps = [];
+  let totalSwaps = 0;
+  let elapsed = 0;
+  const lockedAt = new Map();
+  locks.forEach((plateId, position) => {
+    if (plateId) {
+      lockedAt.set(plateId, [...(lockedAt.get(plateId) ?? []), position]);
+    }
+  });
+
+  while (pending.length > 0) {
+    const prioritizePrinting = pending.some((p) => p.printing);
+    const ready = readyPlates(pending);
+    const copies = new Map();
+    for (const plate of pending) {
+      copies.set(plate.id, (copies.get(plate.id) ?? 0) + 1);
+    }
+    // Every copy left of such a plate has a locked place.
+    const lockedOnly = (plate) => copies.get(plate.id) <= (lockedAt.get(plate.id)?.length ?? 0);
+    const lockedIndex = prioritizePrinting
+      ? -1
+      : lockedPlateIndex(pending, ready, lockedAt, lockedOnly, steps.length);
+    let bestIndex = 0;
+    let bestKey = null;
+    const freq = colorFrequency(pending);
+    const previous = steps[steps.length - 1]?.plateId ?? null;
+
+    for (let i = 0; i < pending.length && lockedIndex === -1; i += 1) {
+      if (prioritizePrinting ? !pending[i].printing : !ready[i] || lockedOnly(pending[i])) {
+        continue;
+      }
+
+      const req = new Set(pending[i].colorIds);
+      const printMinutes = plateMinutes(pending[i]);
+      let missing = 0;
+      let overlap = 0;
+      for (const colorId of req) {
+        if (currentSet.has(colorId)) {
+          overlap += 1;
+        } else {
+          missing += 1;
+        }
+      }
+      const weight = PRIORITY_SWAPS[pending[i].priority] ?? 0;
+      missing -= weight;
+
+      let futureScore = 0;
+      for (const colorId of req) {
+        futureScore += freq.get(colorId) ?? 0;
+      }
+
+      // A plate that just failed goes again before others needing as many
+      // swaps, while the colors it used are most likely still loaded.
+      const retry = Boolean(pending[i].failed);
+      const key = [
+        missing,
+        -weight,
+        retry ? 0 : 1,
+        timeSortOrder === 'desc' ? -printMinutes : printMinutes,
+        -overlap,
+        -futureScore,
+      ];
+      if (flush) {
+        const purge = flush.between(previous, pending[i].id).grams - weight * PRIORITY_PURGE_GRAMS;
+        key.unshift(Math.round(purge * 100));
+      }
+
+      if (!bestKey || compareKeys(key, bestKey) < 0) {
+        bestKey = key;
+        bestIndex = i;
+      }
+    }
+
+    let chosen = lockedIndex === -1 ? bestIndex : lockedIndex;
+    if (lockedIndex === -1 && !prioritizePrinting && deadlines.size > 0) {
+      const rest = pending.filter((_, i) => i !== bestIndex);
+      const lateAfterBest = lateCount(rest, deadlines, elapsed + plateMinutes(pending[bestIndex]));
+      if (lateAfterBest > lateCount(pending, deadlines, elapsed)) {
+        let soonest = -1;
+        for (let i = 0; i < pending.length; i += 1) {
+          const deadline = deadlines.get(pending[i].id);
+          const free = ready[i] && !lockedOnly(pending[i]);
+          if (free && deadline !== undefined && (soonest === -1 || deadline < deadlines.get(pending[soonest].id))) {
+            soonest = i;
+          }
+        }
+        chosen = soonest === -1 ? bestIndex : soonest;
+      }
+    }
+
+    const plate = pending[chosen];
+    const locked = chosen === lockedIndex || lockedOnly(plate);
+    if (locked) {
+      lockedAt.get(plate.id).shift();
+    }
+    pending.splice(chosen, 1);
+    const step = { ...stepFor(plate, currentSet, pending, slots), locked };
+
+    totalSwaps += step.swaps;
+    elapsed += step.printMinutes;
+    steps.push(step);
+    currentSet = new Set(step.after);
+  }
+
+  return { error: null, steps, totalSwaps };
+}
+
+function* combinations(items, count, start = 0) {
+  if (count === 0) {
+    yield [];
+    return;
+  }
+
+  for (let i = start; i <= items.length - count; i += 1) {
+    for (const rest of combinations(items, count - 1, i + 1)) {
+      yield [items[i], ...rest];
+    }
+  }
+}
+
+class SearchBudgetExceeded extends Error {}
+
+// Exact search over (remaining plates, loaded colors that are still needed).
+// Loading is lazy: a color is only loaded for the plate that needs it, which
+// never costs more swaps than prefetching. Colors no remaining plate uses are
+// dropped from the state since evicting them is free. With a `flush` model
+// the color left in the nozzle joins the state and each step costs its purge
+// first, in hundredths of a gram, with swaps as the smaller unit.
+function searchOptimalOrder(plates, startSet, slots, timeSortOrder, flush = null) {
+  const count = plates.length;
+  const fullMask = (1 << count) - 1;
+  const required = plates.map((plate) => [...new Set(plate.colorIds)]);
+  const forcedFirst = plates.some((p) => p.printing)
+    ? plates.map((p, i) => (p.printing ? i : -1)).filter((i) => i >= 0)
+    : null;
+  const order = plates
+    .map((plate, index) => ({ index, minutes: plateMinutes(plate) }))
+    .sort((a, b) => (timeSortOrder === 'desc' ? b.minutes - a.minutes : a.minutes - b.minutes))
+    .map((entry) => entry.index);
+  // Bits of the plates each plate waits for, every copy of them; it can go
+  // once none is left. Copies are interchangeable, so only the first copy
+  // left of a plate is tried.
+  const bitsById = new Map();
+  plates.forEach((plate, index) => bitsById.set(plate.id, (bitsById.get(plate.id) ?? 0) | (1 << index)));
+  const waitsFor = plates.map((plate) =>
+    (plate.printAfter ?? []).reduce((bits, id) => bits | (bitsById.get(id) ?? 0), 0)
+  );
+  const earlierCopies = plates.map((plate, index) => bitsById.get(plate.id) & ((1 << index) - 1));
+
+  const liveCache = new Map();
+  function liveColors(mask) {
+    let live = liveCache.get(mask);
+    if (!live) {
+      live = new Set();
+      for (let i = 0; i < count; i += 1) {
+        if (mask & (1 << i)) {
+          for (const colorId of required[i]) {
+            live.add(colorId);
+          }
+        }
+      }
+      liveCache.set(mask, live);
+    }
+    return live;
+  }
+
+  function keyOf(mask, loaded, nozzle) {
+    return `${mask}|${nozzle ?? ''}|${[...loaded].sort().join(',')}`;
+  }
+
+  function purgeCost(nozzle, index) {
+    return flush ? Math.round(flush.change(nozzle, flush.first(plates[index].id)).grams * 100) * PURGE_SCALE : 0;
+  }
+
+  const memo = new Map();
+  const startedAt = Date.now();
+  let nodes = 0;
+
+  function search(mask, loaded, limit, nozzle) {
+    if (mask === 0) {
+      return 0;
+    }
+
+    nodes += 1;
+    if (nodes > EXACT_NODE_BUDGET || (nodes % 1024 === 0 && Date.now() - startedAt > EXACT_TIME_BUDGET_MS)) {
+      throw new SearchBudgetExceeded();
+    }
+
+    const key = keyOf(mask, loaded, nozzle);
+    const cached = memo.get(key);
+    if (cached && (cached.exact || cached.value >= limit)) {
+      return cached.value;
+    }
+
+    let lowerBound = 0;
+    for (const colorId of liveColors(mask)) {
+      if (!loaded.has(colorId)) {
+        lowerBound += 1;
+      }
+    }
+    if (lowerBound >= limit) {
+      memo.set(key, { value: lowerBound, exact: false });
+      return lowerBound;
+    }
+
+    const left = order.filter((i) => mask & (1 << i));
+    const ready = left.filter((i) => (mask & (waitsFor[i] | earlierCopies[i])) === 0);
+    const candidates = mask === fullMask && forcedFirst ? forcedFirst : ready.length > 0 ? ready : left;
+    let best = Number.POSITIVE_INFINITY;
+    let choice = null;
+
+    for (const index of candidates) {
+      const req = required[index];
+      const purge = purgeCost(nozzle, index);
+      const stepCost = req.filter((colorId) => !loaded.has(colorId)).length + purge;
+      if (stepCost >= Math.min(limit, best)) {
+        continue;
+      }
+
+      const restMask = mask & ~(1 << index);
+      const restLive = liveColors(restMask);
+      const nextNozzle = flush ? flush.last(plates[index].id) : null;
+      if (req.length > slots) {
+        const schedule = schedulePauses(plates[index], loaded, restLive, slots);
+        const nextLoaded = new Set([...schedule.endSet].filter((colorId) => restLive.has(colorId)));
+        const loads = schedule.loads + purge;
+        const cost = loads + search(restMask, nextLoaded, Math.min(limit, best) - loads, nextNozzle);
+        if (cost < best) {
+          best = cost;
+          choice = { index, evicted: null };
+        }
+        continue;
+      }
+
+      const reqSet = new Set(req);
+      const keepable = [...loaded].filter((colorId) => !reqSet.has(colorId));
+      const overflow = Math.max(0, keepable.length + reqSet.size - Math.max(slots, reqSet.size));
+
+      for (const evicted of combinations(keepable, overflow)) {
+        const evictedSet = new Set(evicted);
+        const nextLoaded = new Set();
+        for (const colorId of [...keepable, ...req]) {
+          if (!evictedSet.has(colorId) && restLive.has(colorId)) {
+            nextLoaded.add(colorId);
+          }
+        }
+
+        const cost = stepCost + search(restMask, nextLoaded, Math.min(limit, best) - stepCost, nextNozzle);
+        if (cost < best) {
+          best = cost;
+          choice = { index, evicted: evictedSet };
+        }
+      }
+    }
+
+    if (best < limit) {
+      memo.set(key, { value: best, exact: true, choice });
+    } else {
+      memo.set(key, { value: limit, exact: false });
+    }
+    return best;
+  }
+
+  const startLoaded = new Set([...startSet].filter((colorId) => liveColors(fullMask).has(colorId)));
+  const total = search(fullMask, startLoaded, Number.POSITIVE_INFINITY, null);
+
+  const path = [];
+  let mask = fullMask;
+  let loaded = startLoaded;
+  let nozzle = null;
+  while (mask !== 0) {
+    const { choice } = memo.get(keyOf(mask, loaded, nozzle));
+    path.push(choice);
+    nozzle = flush ? flush.last(plates[choice.index].id) : null;
+    const restMask = mask & ~(1 << choice.index);
+    const restLive = liveColors(restMask);
+    const next = choice.evicted
+      ? [...loaded, ...required[choice.index]].filter((colorId) => !choice.evicted.has(colorId))
+      : [...schedulePauses(plates[choice.index], loaded, restLive, slots).endSet];
+    loaded = new Set(next.filter((colorId) => restLive.has(colorId)));
+    mask = restMask;
+  }
+
+  return { total, path };
+}
+
+// Everything the exact search reads: per plate what decides its colors,
+// order and waits, and with a flush model the purge of every change it can
+// make, so edits such as renaming a plate do not count.
+function searchSignature(plates, startSet, slots, timeSortOrder, flush) {
+  const firsts = flush ? plates.map((plate) => flush.first(plate.id)) : [];
+  const nozzles = flush ? [null, ...plates.map((plate) => flush.last(plate.id))] : [];
+  return JSON.stringify({
+    plates: plates.map((plate) => [
+      plate.id,
+      plate.colorIds,
+      plateColorRanges(plate),
+      plate.printAfter ?? [],
+      Boolean(plate.printing),
+      plateMinutes(plate),
+    ]),
+    startSet: [...startSet],
+    slots,
+    timeSortOrder,
+    flush: flush && {
+      firsts,
+      nozzles,
+      grams: nozzles.map((nozzle) => firsts.map((first) => flush.change(nozzle, first).grams)),
+    },
+  });
+}
+
+// The search can take the whole time budget and the plan is worked out on
+// every render that changes the project, so results (and searches that ran
+// out of budget, as null) are kept for the last few inputs.
+const searchCache = new Map();
+
+function cachedSearch(plates, startSet, slots, timeSortOrder, flush) {
+  const key = searchSignature(plates, startSet, slots, timeSortOrder, flush);
+  if (searchCache.has(key)) {
+    const result = searchCache.get(key);
+    searchCache.delete(key);
+    searchCache.set(key, result);
+    return result;
+  }
+
+  let result = null;
+  try {
+    result = searchOptimalOrder(plates, startSet, slots, timeSortOrder, flush);
+  } catch (error) {
+    if (!(error instanceof SearchBudgetExceeded)) {
+      throw error;
+    }
+  }
+  searchCache.set(key, result);
+  if (searchCache.size > SEARCH_CACHE_SIZE) {
+    searchCache.delete(searchCache.keys().next().value);
+  }
+  return result;
+}
+
+export function buildOptimalPlan(project, currentAms, timeSortOrder, flush = null) {
+  const slots = Number(project.amsSlots) || 4;
+  const remaining = project.plates.filter((p) => !p.printed);
+
+  if (remaining.length > EXACT_PLATE_LIMIT) {
+    return { completed: false, reason: `more than ${EXACT_PLATE_LIMIT} plates remaining` };
+  }
+
+  const result = cachedSearch(remaining, new Set(currentAms), slots, timeSortOrder, flush);
+  if (!result) {
+    return { completed: false, reason: 'search budget exceeded' };
+  }
+
+  let currentSet = new Set(currentAms);
+  const pending = [...remaining];
+  const steps = [];
+  for (const { index, evicted } of result.path) {
+    const plate = remaining[index];
+    pending.splice(pending.indexOf(plate), 1);
+
+    const requiredSet = new Set(plate.colorIds);
+    const futureColors = new Set(pending.flatMap((p) => p.colorIds));
+    if (!evicted) {
+      const step = makePauseStep(plate, currentSet, futureColors, slots);
+      steps.push(step);
+      currentSet = new Set(step.after);
+      continue;
+    }
+
+    const nextSet = new Set([...currentSet].filter((colorId) => !evicted.has(colorId)));
+    for (const colorId of requiredSet) {
+      nextSet.add(colorId);
+    }
+    for (const colorId of [...nextSet]) {
+      if (nextSet.size <= slots) {
+        break;
+      }
+      if (!requiredSet.has(colorId) && !futureColors.has(colorId)) {
+        nextSet.delete(colorId);
+      }
+    }
+
+    steps.push(makeStep(plate, currentSet, nextSet, slots));
+    currentSet = nextSet;
+  }
+
+  return { completed: true, error: null, steps, totalSwaps: steps.reduce((sum, step) => sum + step.swaps, 0) };
+}
+
+// Colors stay in the slot they already occupy; a color that is swapped in
+// takes the slot freed by a color swapped out, or the first empty slot that
+// is not reserved.
+export function assignSlots(steps, initialLayout, reservedSlots = []) {
+  let layout = [...initialLayout];
+  const reserved = new Set(reservedSlots);
+  const freeSlot = (slots) => slots.findIndex((colorId, index) => !colorId && !reserved.has(index));
+
+  return steps.map((step) => {
+    const before = layout;
+    const start = [...before];
+    const keep = new Set(step.startSet);
+    const changes = new Map();
+
+    for (let index = 0; index < start.length; index += 1) {
+      if (start[index] && !keep.has(start[index])) {
+        changes.set(index, { slot: index, remove: start[index], load: null });
+        start[index] = null;
+      }
+    }
+
+    for (const colorId of step.swapIn) {
+      const index = freeSlot(start);
+      if (index === -1) {
+        continue;
+      }
+      start[index] = colorId;
+      changes.set(index, { slot: index, remove: changes.get(index)?.remove ?? null, load: colorId });
+    }
+
+    const after = [...start];
+    const pauses = step.pauses.map((pause) => ({
+      ...pause,
+      changes: pause.changes.map((change) => {
+        const index = change.remove ? after.indexOf(change.remove) : freeSlot(after);
+        if (index !== -1) {
+          after[index] = change.load;
+        }
+        return { ...change, slot: index === -1 ? null : index };
+      }),
+    }));
+
+    layout = after;
+    return {
+      ...step,
+      slotsBefore: before,
+      slotsAfter: after,
+      slotChanges: [...changes.values()].sort((a, b) => a.slot - b.slot),
+      pauses,
+    };
+  });
+}
+
+// Pinned colors never leave the AMS and reserved slots never take a color,
+// so planning runs on the other colors with the slots that are left, and the
+// pinned colors are added back into every step afterwards.
+function pinning(printer, colors) {
+  const colorIds = new Set(colors.map((color) => color.id));
+  const pinned = new Set((printer.pinnedColorIds ?? []).filter((colorId) => colorIds.has(colorId)));
+  const reservedSlots = printer.reservedSlots ?? [];
+  const capacity = (Number(printer.amsSlots) || 4) - reservedSlots.length - pinned.size;
+  return {
+    pinned,
+    reservedSlots,
+    capacity,
+    unpin: (plate) =>
+      pinned.size === 0 ? plate : { ...plate, colorIds: plate.colorIds.filter((colorId) => !pinned.has(colorId)) },
+  };
+}
+
+function repinSteps(steps, plates, pinned, amsLayout) {
+  if (pinned.size === 0) {
+    return steps;
+  }
+
+  const byId = new Map(plates.map((plate) => [plate.id, plate]));
+  const loaded = new Set(amsLayout.filter(Boolean));
+  const withPins = (colorIds) => [...new Set([...colorIds, ...pinned])];
+  return steps.map((step, index) => {
+    const plate = byId.get(step.plateId);
+    // Pinned colors that are not in the AMS yet go in with the first plate.
+    const load = index === 0 ? [...pinned].filter((colorId) => !loaded.has(colorId)) : [];
+    return {
+      ...step,
+      required: [...new Set(plate.colorIds)],
+      grams: plateColorGrams(plate),
+      before: index === 0
+        ? [...step.before, ...[...pinned].filter((colorId) => loaded.has(colorId))]
+        : withPins(step.before),
+      after: withPins(step.after),
+      startSet: withPins(step.startSet),
+      swapIn: [...step.swapIn, ...load],
+      swaps: step.swaps + load.length,
+    };
+  });
+}
+
+// `cost` is 'swaps' or 'purge' (see PLAN_COSTS); purge needs the project's
+// colors and flush volumes.
+export function planProject(project, amsLayout, { mode, timeSortOrder, deadlines = new Map(), cost = 'swaps' }) {
+  const { pinned, reservedSlots, capacity, unpin } = pinning(project, project.colors);
+  const needsFreeSlot = project.plates.some((plate) => !plate.printed && unpin(plate).colorIds.length > 0);
+  if (capacity < 1 && (needsFreeSlot || capacity < 0)) {
+    return {
+      error: 'Pinned colors and reserved slots leave no slot for the other colors.',
+      steps: [],
+      totalSwaps: 0,
+      mode: 'greedy',
+      greedySwaps: 0,
+      greedyPurge: 0,
+      fallbackReason: null,
+    };
+  }
+
+  const planned = { ...project, amsSlots: Math.max(1, capacity), plates: project.plates.map(unpin) };
+  const currentAms = amsLayout.filter((colorId) => colorId && !pinned.has(colorId));
+  const locks = project.lockedPositions ?? [];
+  const model = flushModel(project);
+  const flush = cost === 'purge' ? model : null;
+  const greedy = buildPlan(planned, currentAms, timeSortOrder, { locks, deadlines, flush });
+  const greedyPurge = purgeGrams(greedy.steps, model);
+  let plan = { ...greedy, mode: 'greedy', greedySwaps: greedy.totalSwaps, greedyPurge, fallbackReason: null };
+
+  // The exact search counts swaps and purge only, so it has no use for a lane that is
+  // partly ordered by hand or has plates that must be early.
+  const weighted = project.plates.some(
+    (plate) => !plate.printed && (deadlines.has(plate.id) || (plate.priority ?? 'normal') !== 'normal')
+  );
+  if (mode === 'optimal' && locks.some(Boolean)) {
+    plan.fallbackReason = 'part of the order is set by hand';
+  } else if (mode === 'optimal' && weighted) {
+    plan.fallbackReason = 'plates with a priority or due date are planned greedily';
+  } else if (mode === 'optimal') {
+    const optimal = buildOptimalPlan(planned, currentAms, timeSortOrder, flush);
+    const rank = (result) =>
+      flush ? [Math.round(purgeGrams(result.steps, model) * 100), result.totalSwaps] : [result.totalSwaps];
+    if (!optimal.completed) {
+      plan.fallbackReason = optimal.reason;
+    } else if (compareKeys(rank(optimal), rank(greedy)) >= 0) {
+      plan.mode = 'optimal';
+    } else {
+      plan = {
+        error: null,
+        steps: optimal.steps,
+        totalSwaps: optimal.totalSwaps,
+        mode: 'optimal',
+        greedySwaps: greedy.totalSwaps,
+        greedyPurge,
+        fallbackReason: null,
+      };
+    }
+  }
+
+  const steps = repinSteps(plan.steps, project.plates, pinned, amsLayout);
+  const pinLoads = steps.length > 0 ? [...pinned].filter((colorId) => !amsLayout.includes(colorId)).length : 0;
+  return {
+    ...plan,
+    totalSwaps: plan.totalSwaps + pinLoads,
+    greedySwaps: plan.greedySwaps + pinLoads,
+    steps: assignSlots(steps, amsLayout, reservedSlots),
+  };
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+// List scheduling: whichever printer frees up first takes the pending plate
+// that needs the fewest new colors on it, preferring plates the other
+// printers are worse placed for. Plates locked in a lane's order stay on
+// that printer, and a plate that waits for others joins the printer of one
+// of them once they are all placed, so its lane can keep them in order. Each
+// lane is then ordered by planProject.
+function assignPlatesToPrinters(plates, printers, timeSortOrder, lockedOn) {
+  const lanes = printers.map((printer) => ({
+    printer,
+    slots: Math.max(1, (Number(printer.amsSlots) || 4) - (printer.reservedSlots ?? []).length),
+    loaded: new Set(printer.layout.filter(Boolean)),
+    minutes: 0,
+    plates: [],
+  }));
+  const pending = [];
+  const laneOf = new Map();
+
+  function assign(lane, plate, rest) {
+    laneOf.set(plate.id, lane);
+    lane.plates.push(plate);
+    lane.loaded = chooseNextSet(lane.loaded, new Set(plate.colorIds), rest, lane.slots);
+    lane.minutes += plateMinutes(plate) * copiesLeft(plate);
+  }
+
+  for (const plate of plates) {
+    const lockedLane = lanes.find((l) => l.printer.id === lockedOn.get(plate.id));
+    if (!plate.printing && lockedLane) {
+      assign(lockedLane, plate, pending);
+      continue;
+    }
+    if (!plate.printing) {
+      pending.push(plate);
+      continue;
+    }
+
+    const lane =
+      lanes.find((l) => l.printer.id === plate.printerId && !l.plates.some((p) => p.printing)) ??
+      lanes.find((l) => !l.plates.some((p) => p.printing));
+    if (lane) {
+      assign(lane, plate, pending);
+    } else {
+      pending.push({ ...plate, printing: false });
+    }
+  }
+
+  const missingOn = (lane, plate) => plate.colorIds.filter((colorId) => !lane.loaded.has(colorId)).length;
+  const remainingIds = new Set(plates.map((plate) => plate.id));
+  function fits(lane, plate) {
+    const before = (plate.printAfter ?? []).filter((id) => remainingIds.has(id));
+    return (
+      before.every((id) => laneOf.has(id)) && (before.length === 0 || before.some((id) => laneOf.get(id) === lane))
+    );
+  }
+
+  while (pending.length > 0) {
+    const byFreeTime = [...lanes].sort((a, b) => a.minutes - b.minutes || a.plates.length - b.plates.length);
+    // Only a dependency loop leaves no plate that fits anywhere.
+    const lane = byFreeTime.find((l) => pending.some((plate) => fits(l, plate))) ?? byFreeTime[0];
+    const others = lanes.filter((l) => l !== lane);
+    const stuck = !pending.some((plate) => fits(lane, plate));
+
+    let bestIndex = 0;
+    let bestKey = null;
+    for (let i = 0; i < pending.length; i += 1) {
+      const plate = pending[i];
+      if (!stuck && !fits(lane, plate)) {
+        continue;
+      }
+      const missing = missingOn(lane, plate);
+      const elsewhere = others.length > 0 ? Math.min(...others.map((l) => missingOn(l, plate))) : 0;
+      const minutes = plateMinutes(plate);
+      const key = [missing, -(elsewhere - missing), timeSortOrder === 'desc' ? -minutes : minutes];
+      if (!bestKey || compareKeys(key, bestKey) < 0) {
+        bestKey = key;
+        bestIndex = i;
+      }
+    }
+
+    const plate = pending.splice(bestIndex, 1)[0];
+    assign(lane, plate, pending);
+  }
+
+  return lanes;
+}
+
+// Walks every lane's steps in start-time order, deducting each plate's grams
+// from the tracked spools. When a step needs more of a color than is left,
+// the step gets a spool replacement and the color continues on a full spool.
+export function planSpoolUsage(lanes, colors) {
+  const remaining = new Map();
+  const spoolSize = new Map();
+  for (const color of colors) {
+    if (Number.isFinite(color.spoolGrams)) {
+      remaining.set(color.id, color.spoolGrams);
+      spoolSize.set(color.id, Number(color.spoolSize) > 0 ? Number(color.spoolSize) : DEFAULT_SPOOL_GRAMS);
+    }
+  }
+
+  const events = lanes.flatMap((lane, laneIndex) => {
+    let start = 0;
+    return lane.steps.map((step, stepIndex) => {
+      const event = { laneIndex, stepIndex, start: step.startAt ?? start * MINUTE_MS };
+      start += step.printMinutes;
+      return event;
+    });
+  });
+  events.sort((a, b) => a.start - b.start || a.laneIndex - b.laneIndex);
+
+  const refills = new Map();
+  for (const { laneIndex, stepIndex } of events) {
+    const step = lanes[laneIndex].steps[stepIndex];
+    const stepRefills = [];
+    for (const [colorId, needed] of Object.entries(step.grams)) {
+      if (!remaining.has(colorId)) {
+        continue;
+      }
+
+      const left = remaining.get(colorId);
+      if (needed > left) {
+        stepRefills.push({ colorId, remaining: left, needed });
+        remaining.set(colorId, Math.max(0, spoolSize.get(colorId) - needed));
+      } else {
+        remaining.set(colorId, left - needed);
+      }
+    }
+    refills.set(`${laneIndex}:${stepIndex}`, stepRefills);
+  }
+
+  return lanes.map((lane, laneIndex) => ({
+    ...lane,
+    steps: lane.steps.map((step, stepIndex) => ({
+      ...step,
+      spoolRefills: refills.get(`${laneIndex}:${stepIndex}`) ?? [],
+    })),
+  }));
+}
+
+export function plateMaterialWarning(plate, colors) {
+  const materials = plate.colorIds.map((colorId) => colors.find((color) => color.id === colorId)?.material);
+  const conflict = materialConflict(materials);
+  return conflict
+    ? `${conflict[0]} and ${conflict[1]} need different bed temperatures and may not print together.`
+    : null;
+}
+
+// Extra swaps each pinned color causes, found by planning the lane greedily
+// with that one pin lifted. Only pins that cost something are listed.
+function pinCosts(laneProject, layout, plan, options) {
+  const pinned = pinning(laneProject, laneProject.colors).pinned;
+  return [...pinned]
+    .map((colorId) => {
+      const pinnedColorIds = [...pinned].filter((other) => other !== colorId);
+      const unpinned = planProject({ ...laneProject, pinnedColorIds }, layout, { ...options, mode: 'greedy' });
+      return { colorId, extraSwaps: plan.greedySwaps - unpinned.greedySwaps };
+    })
+    .filter((cost) => cost.extraSwaps > 0);
+}
+
+// Turns a lane's stored order into plan positions. Positions count only the
+// lane's plates that are still to print, so a locked plate moves up as the
+// plates before it finish. A plate has an entry per copy; printed copies
+// drop their entries from the front.
+function lockedPositions(entries, plates) {
+  const left = new Map(plates.map((plate) => [plate.id, copiesLeft(plate)]));
+  const kept = [];
+  for (let index = entries.length - 1; index >= 0; index -= 1) {
+    const entry = entries[index];
+    if (left.get(entry.plateId) > 0) {
+      left.set(entry.plateId, left.get(entry.plateId) - 1);
+      kept.unshift(entry.locked ? entry.plateId : null);
+    }
+  }
+  return kept;
+}
+
+function hasPlanLocks(planOrder) {
+  return Object.values(planOrder ?? {}).some((entries) => entries.some((entry) => entry.locked));
+}
+
+// `options.startAt` is when the plan starts, which due dates are measured
+// from; without it the plan does not weigh them. `options.cost` is what the
+// lanes are ordered for (see planProject); every plan estimates its purge.
+export function planPrinters(project, printers, options) {
+  const remaining = project.plates.filter((p) => !p.printed);
+  const planOrder = project.planOrder ?? {};
+  const lockedOn = new Map();
+  for (const printer of printers) {
+    for (const entry of planOrder[printer.id] ?? []) {
+      if (entry.locked && !lockedOn.has(entry.plateId)) {
+        lockedOn.set(entry.plateId, printer.id);
+      }
+    }
+  }
+  const assignments =
+    printers.length > 1
+      ? assignPlatesToPrinters(remaining, printers, options.timeSortOrder, lockedOn)
+      : printers.map((printer) => ({ printer, plates: remaining }));
+  const laneOptions = { ...options, deadlines: plateDeadlines(remaining, options.startAt) };
+
+  const planned = assignments.map(({ printer, plates }) => {
+    const laneProject = {
+      ...project,
+      amsSlots: printer.amsSlots,
+      pinnedColorIds: printer.pinnedColorIds,
+      reservedSlots: printer.reservedSlots,
+      plates: expandCopies(plates),
+      lockedPositions: lockedPositions(planOrder[printer.id] ?? [], plates),
+    };
+    const plan = planProject(laneProject, printer.layout, laneOptions);
+    return {
+      ...plan,
+      printerId: printer.id,
+      printerName: printer.name,
+      finishMinutes: plan.steps.reduce((sum, step) => sum + step.printMinutes, 0),
+      pinCosts: plan.error ? [] : pinCosts(laneProject, printer.layout, plan, laneOptions),
+    };
+  });
+  const lanes = planSpoolUsage(planPurge(numberCopies(planned, project.plates), project), project.colors);
+  const failed = lanes.find((lane) => lane.error);
+  const materialWarnings = {};
+  for (const plate of remaining) {
+    const warning = plateMaterialWarning(plate, project.colors);
+    if (warning) {
+      materialWarnings[plate.id] = warning;
+    }
+  }
+
+  const totalSwaps = lanes.reduce((sum, lane) => sum + lane.totalSwaps, 0);
+  // What the hand-set order costs, against the plan without any locks.
+  const manualExtraSwaps =
+    !failed && hasPlanLocks(planOrder)
+      ? totalSwaps - planPrinters({ ...project, planOrder: {} }, printers, options).totalSwaps
+      : null;
+
+  return {
+    error: failed ? `${failed.printerName}: ${failed.error}` : null,
+    lanes,
+    totalSwaps,
+    greedySwaps: lanes.reduce((sum, lane) => sum + lane.greedySwaps, 0),
+    purgeGrams: roundTenth(lanes.reduce((sum, lane) => sum + lane.purgeGrams, 0)),
+    purgeMinutes: roundTenth(lanes.reduce((sum, lane) => sum + lane.purgeMinutes, 0)),
+    greedyPurgeGrams: roundTenth(lanes.reduce((sum, lane) => sum + lane.greedyPurge, 0)),
+    fallbackReason: lanes.map((lane) => lane.fallbackReason).find(Boolean) ?? null,
+    finishMinutes: Math.max(0, ...lanes.map((lane) => lane.finishMinutes)),
+    materialWarnings,
+    manualExtraSwaps,
+  };
+}
+
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text ?? '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function attendedWindow(attended) {
+  const from = parseClock(attended?.from);
+  const until = parseClock(attended?.until);
+  return from === null || until === null || from === until ? null : { from, until };
+}
+
+function minuteOfDay(time) {
+  const date = new Date(time);
+  return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+}
+
+// Attended hours repeat every day in local time; a window whose end is before
+// its start runs past midnight. Without a window someone is always around.
+export function minutesUntilAttended(time, attended) {
+  const window = attendedWindow(attended);
+  if (!window) {
+    return 0;
+  }
+
+  const minute = minuteOfDay(time);
+  const inside =
+    window.from < window.until
+      ? minute >= window.from && minute < window.until
+      : minute >= window.from || minute < window.until;
+  return inside ? 0 : (window.from - minute + DAY_MINUTES) % DAY_MINUTES;
+}
+
+function minutesUntilUnattended(time, attended) {
+  const window = attendedWindow(attended);
+  if (!window || minutesUntilAttended(time, attended) > 0) {
+    return window ? 0 : Number.POSITIVE_INFINITY;
+  }
+  return (window.until - minuteOfDay(time) + DAY_MINUTES) % DAY_MINUTES;
+}
+
+// A plate already printing needs nobody; one that starts with a swap or
+// pauses for one needs someone at the printer.
+function needsAttendance(step) {
+  return !step.printing && (step.swaps > 0 || step.pauses.length > 0);
+}
+
+// Gives each step wall-clock start and end times. A step that needs someone
+// waits for the next attended window instead of starting at once. Steps that
+// end after their plate's due date are marked late.
+export function timeSteps(steps, startAt, attended) {
+  let time = startAt;
+  return steps.map((step) => {
+    const attendance = needsAttendance(step);
+    const waitMinutes = attendance ? minutesUntilAttended(time, attended) : 0;
+    const stepStart = time + waitMinutes * MINUTE_MS;
+    const stepEnd = stepStart + step.printMinutes * MINUTE_MS;
+    time = stepEnd;
+    return {
+      ...step,
+      needsAttendance: attendance,
+      waitMinutes,
+      startAt: stepStart,
+      endAt: stepEnd,
+      late: Boolean(step.dueAt) && stepEnd > Date.parse(step.dueAt),
+      pausesUnattended: step.pauses.length > 0 && step.printMinutes > minutesUntilUnattended(stepStart, attended),
+    };
+  });
+}
+
+// Rebuilds the lane in its planned order, except that when the next plate
+// needs a swap while nobody is around, the longest plate that can print with
+// the loaded colors runs first. With `saveLongForNight`, a plate that would
+// run past the end of the attended window gives way to plates that need
+// someone and still finish before it, so the long plate covers the night.
+function reorderForAttendance(steps, plates, layout, slots, startAt, attended, saveLongForNight) {
+  const byId = new Map(plates.map((plate) => [plate.id, plate]));
+  const pending = steps.map((step) => ({ ...byId.get(step.plateId), printing: step.printing }));
+  let currentSet = new Set(layout.filter(Boolean));
+  let time = startAt;
+  const reordered = [];
+
+  while (pending.length > 0) {
+    // Plates that are not ready yet stay where the plan put them.
+    const ready = readyPlates(pending);
+    const candidates = pending.map((plate, index) =>
+      stepFor(plate, currentSet, pending.filter((_, other) => other !== index), slots)
+    );
+
+    let index = 0;
+    if (needsAttendance(candidates[0]) && minutesUntilAttended(time, attended) > 0) {
+      for (let candidate = 1; candidate < candidates.length; candidate += 1) {
+        const quiet = candidates[candidate];
+        const longer = index === 0 || quiet.printMinutes > candidates[index].printMinutes;
+        if (ready[candidate] && !needsAttendance(quiet) && longer) {
+          index = candidate;
+        }
+      }
+    } else if (saveLongForNight && !candidates[0].printing) {
+      const untilUnattended = minutesUntilUnattended(time, attended);
+      if (candidates[0].printMinutes > untilUnattended) {
+        for (let candidate = 1; candidate < candidates.length; candidate += 1) {
+          const swapping = candidates[candidate];
+          const fits = ready[candidate] && needsAttendance(swapping) && swapping.printMinutes <= untilUnattended;
+          if (fits && (index === 0 || swapping.swaps < candidates[index].swaps)) {
+            index = candidate;
+          }
+        }
+      }
+    }
+
+    const step = candidates[index];
+    pending.splice(index, 1);
+    reordered.push(step);
+    const wait = needsAttendance(step) ? minutesUntilAttended(time, attended) : 0;
+    time += (wait + step.printMinutes) * MINUTE_MS;
+    currentSet = new Set(step.after);
+  }
+
+  return reordered;
+}
+
+function finishOf(steps, startAt) {
+  return steps.length > 0 ? steps[steps.length - 1].endAt : startAt;
+}
+
+// Scales slicer print times by a printer's correction factor from the print
+// log, so clock times follow how long its plates really take.
+function correctMinutes(minutes, factor) {
+  return factor === 1 ? minutes : Math.round(minutes * factor);
+}
+
+// Adds clock times to a plan from planPrinters. With attended hours, a lane
+// is reordered when that finishes it sooner than waiting for someone to
+// return for each swap. `timeFactors` maps printer ids to print time
+// corrections; printers without one use the slicer times.
+export function schedulePrinters(plan, project, printers, { startAt, attended, timeFactors = {} }) {
+  const lanes = plan.lanes.map((lane) => {
+    const printer = printers.find((p) => p.id === lane.printerId);
+    const factor = timeFactors[lane.printerId] ?? 1;
+    const steps = lane.steps.map((step) => ({ ...step, printMinutes: correctMinutes(step.printMinutes, factor) }));
+    const plates = project.plates.map((plate) => ({
+      ...plate,
+      printMinutes: correctMinutes(plateMinutes(plate), factor),
+    }));
+    const planned = timeSteps(steps, startAt, attended);
+    // A lane ordered partly by hand keeps that order.
+    const locked = steps.some((step) => step.locked);
+    if (!attendedWindow(attended) || locked || planned.every((step) => step.waitMinutes === 0)) {
+      return { ...lane, steps: planned, timeFactor: factor, reordered: false, finishAt: finishOf(planned, startAt) };
+    }
+
+    const { pinned, reservedSlots, capacity, unpin } = pinning(printer, project.colors);
+    const reordered = [false, true]
+      .map((saveLongForNight) => {
+        const order = reorderForAttendance(
+          steps,
+          plates.map(unpin),
+          printer.layout.filter((colorId) => !pinned.has(colorId)),
+          capacity,
+          startAt,
+          attended,
+          saveLongForNight
+        );
+        const repinned = repinSteps(order, plates, pinned, printer.layout);
+        return timeSteps(assignSlots(repinned, printer.layout, reservedSlots), startAt, attended);
+      })
+      .reduce((best, steps) => (finishOf(steps, startAt) < finishOf(best, startAt) ? steps : best));
+    const lateSteps = (timed) => timed.filter((step) => step.late).length;
+    if (finishOf(reordered, startAt) >= finishOf(planned, startAt) || lateSteps(reordered) > lateSteps(planned)) {
+      return { ...lane, steps: planned, timeFactor: factor, reordered: false, finishAt: finishOf(planned, startAt) };
+    }
+
+    return {
+      ...lane,
+      steps: reordered,
+      totalSwaps: reordered.reduce((sum, step) => sum + step.swaps, 0),
+      timeFactor: factor,
+      reordered: true,
+      finishAt: finishOf(reordered, startAt),
+    };
+  });
+
+  const timed = planSpoolUsage(planPurge(numberCopies(lanes, project.plates), project), project.colors);
+  return {
+    ...plan,
+    lanes: timed,
+    totalSwaps: timed.reduce((sum, lane) => sum + lane.totalSwaps, 0),
+    purgeGrams: roundTenth(timed.reduce((sum, lane) => sum + lane.purgeGrams, 0)),
+    purgeMinutes: roundTenth(timed.reduce((sum, lane) => sum + lane.purgeMinutes, 0)),
+    finishAt: Math.max(startAt, ...timed.map((lane) => lane.finishAt)),
+  };
+}
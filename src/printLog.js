@@ -0,0 +1,179 @@
+import { plateColorGrams, plateMinutes } from './planner';
+import { uid } from './storage';
+
+// Finished prints needed before the log suggests corrected print times.
+export const CORRECTION_MIN_SAMPLES = 2;
+
+export const FAILURE_REASONS = ['Spaghetti', 'Bed adhesion', 'Filament tangle', 'Clogged nozzle', 'Power loss', 'Other'];
+
+const MINUTE_MS = 60 * 1000;
+
+// Opens an entry when a plate starts printing. `swaps` is the number of
+// filament loads done for it, or null when the plate was started outside the
+// plan and nobody counted.
+export function logPrintStart(log, plate, printerId, swaps, time = Date.now()) {
+  return [
+    ...log,
+    {
+      id: uid(),
+      plateId: plate.id,
+      plateName: plate.name,
+      printerId,
+      startedAt: new Date(time).toISOString(),
+      finishedAt: null,
+      estimatedMinutes: plateMinutes(plate),
+      swaps,
+      grams: {},
+      failed: false,
+      failReason: null,
+      failNote: '',
+    },
+  ];
+}
+
+function lastIndexOf(log, matches) {
+  for (let index = log.length - 1; index >= 0; index -= 1) {
+    if (matches(log[index])) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function openEntryIndex(log, plateId) {
+  return lastIndexOf(log, (entry) => entry.plateId === plateId && !entry.finishedAt);
+}
+
+function closeEntry(log, plate, printerId, fields, time) {
+  const closed = { ...fields, finishedAt: new Date(time).toISOString() };
+  const index = openEntryIndex(log, plate.id);
+  if (index === -1) {
+    return [
+      ...log,
+      {
+        id: uid(),
+        plateId: plate.id,
+        plateName: plate.name,
+        printerId: printerId ?? null,
+        startedAt: null,
+        estimatedMinutes: plateMinutes(plate),
+        swaps: null,
+        failReason: null,
+        failNote: '',
+        ...closed,
+      },
+    ];
+  }
+
+  return log.map((entry, entryIndex) => (entryIndex === index ? { ...entry, ...closed } : entry));
+}
+
+// Closes the plate's open entry. A plate marked printed without being started
+// gets an entry without a start time, so it shows up but has no duration.
+export function logPrintFinish(log, plate, printerId, time = Date.now()) {
+  return closeEntry(log, plate, printerId, { grams: plateColorGrams(plate), failed: false }, time);
+}
+
+// `grams` maps color ids to the filament the failed attempt used up.
+export function logPrintFailure(log, plate, printerId, { reason, note, grams }, time = Date.now()) {
+  return closeEntry(log, plate, printerId, { grams, failed: true, failReason: reason, failNote: note }, time);
+}
+
+// Spreads the grams lost to a failed print over the plate's colors in the
+// ratio the plate uses them, or evenly when it has no per-color weights.
+export function wastedColorGrams(plate, total) {
+  const planned = plateColorGrams(plate);
+  const plannedTotal = Object.values(planned).reduce((sum, grams) => sum + grams, 0);
+  const colorIds = plannedTotal > 0 ? Object.keys(planned) : plate.colorIds;
+  const grams = {};
+  for (const colorId of colorIds) {
+    const share = plannedTotal > 0 ? planned[colorId] / plannedTotal : 1 / colorIds.length;
+    const amount = Math.round(total * share);
+    if (amount > 0) {
+      grams[colorId] = amount;
+    }
+  }
+  return grams;
+}
+
+// Guesses how much filament an unfinished print used from how far into its
+// estimated time it got.
+export function estimateWaste(log, plate, time = Date.now()) {
+  const planned = Object.values(plateColorGrams(plate)).reduce((sum, grams) => sum + grams, 0);
+  const entry = log[openEntryIndex(log, plate.id)];
+  if (!entry?.startedAt || !(entry.estimatedMinutes > 0)) {
+    return planned;
+  }
+
+  const progress = (time - Date.parse(entry.startedAt)) / MINUTE_MS / entry.estimatedMinutes;
+  return Math.round(planned * Math.min(1, Math.max(0, progress)));
+}
+
+// Grams per color that went into finished plates and into failed attempts.
+export function filamentUsage(log) {
+  const usage = new Map();
+  for (const entry of log) {
+    for (const [colorId, grams] of Object.entries(entry.grams)) {
+      const totals = usage.get(colorId) ?? { printed: 0, wasted: 0 };
+      usage.set(colorId, {
+        printed: totals.printed + (entry.failed ? 0 : grams),
+        wasted: totals.wasted + (entry.failed ? grams : 0),
+      });
+    }
+  }
+  return usage;
+}
+
+// Drops the entry that a stopped print or an unmarked plate left behind:
+// the open one when printing stops, the last finished one when a printed
+// plate is marked not printed again.
+export function logPrintUndo(log, plateId, finished) {
+  const index = finished
+    ? lastIndexOf(log, (entry) => entry.plateId === plateId && entry.finishedAt && !entry.failed)
+    : openEntryIndex(log, plateId);
+  return index === -1 ? log : log.filter((_, entryIndex) => entryIndex !== index);
+}
+
+export function actualMinutes(entry) {
+  if (!entry.startedAt || !entry.finishedAt) {
+    return null;
+  }
+  return Math.max(0, Math.round((Date.parse(entry.finishedAt) - Date.parse(entry.startedAt)) / MINUTE_MS));
+}
+
+// Ratio of actual to slicer time over finished prints, weighted by length so
+// a few short plates do not outweigh a long one. Null until there are enough
+// prints with both times.
+export function timeCorrection(log, printerId = null) {
+  const samples = log.filter(
+    (entry) =>
+      (printerId === null || entry.printerId === printerId) &&
+      !entry.failed &&
+      entry.estimatedMinutes > 0 &&
+      actualMinutes(entry) !== null
+  );
+  if (samples.length < CORRECTION_MIN_SAMPLES) {
+    return null;
+  }
+
+  const estimated = samples.reduce((sum, entry) => sum + entry.estimatedMinutes, 0);
+  const actual = samples.reduce((sum, entry) => sum + actualMinutes(entry), 0);
+  return { factor: actual / estimated, samples: samples.length };
+}
+
+// Factor for each printer, falling back to the whole project when a printer
+// has too few prints of its own.
+export function printerTimeFactors(log, printers) {
+  const overall = timeCorrection(log);
+  return Object.fromEntries(
+    printers.map((printer) => [printer.id, (timeCorrection(log, printer.id) ?? overall)?.factor ?? 1])
+  );
+}
+
+export function describeCorrection(correction) {
+  const percent = Math.round(Math.abs(correction.factor - 1) * 100);
+  if (percent === 0) {
+    return 'matches slicer estimates';
+  }
+  return `runs ${percent}% ${correction.factor > 1 ? 'slower' : 'faster'} than slicer estimates`;
+}
@@ -0,0 +1,224 @@
+import { normalizeHex } from './filaments';
+
+// Optional read-only connection to a printer on the local network. The app
+// polls it for the filament in each AMS slot and the state of the current
+// job. Moonraker and OctoPrint are asked directly; Bambu printers only speak
+// MQTT, so they go through server/printer-bridge.js, which answers over HTTP.
+
+export const PRINTER_LINKS_KEY = 'filament-swapper-printer-links';
+
+export const PRINTER_LINK_KINDS = [
+  { value: 'moonraker', label: 'Moonraker (Klipper)' },
+  { value: 'octoprint', label: 'OctoPrint' },
+  { value: 'bridge', label: 'Bambu LAN bridge' },
+];
+
+// Job states the app acts on; every API's own states are mapped to these.
+export const JOB_STATES = ['idle', 'printing', 'paused', 'finished', 'failed'];
+
+const JOB_LABELS = {
+  idle: 'Idle',
+  printing: 'Printing',
+  paused: 'Paused',
+  finished: 'Finished',
+  failed: 'Stopped with an error',
+};
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+// Links map a printer id to { kind, url, apiKey }. They stay on this device,
+// like the sync settings: addresses and keys mean nothing on another network.
+export function loadPrinterLinks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRINTER_LINKS_KEY) ?? '{}');
+    return Object.fromEntries(
+      Object.entries(saved && typeof saved === 'object' ? saved : {})
+        .filter(([, link]) => typeof link?.url === 'string' && PRINTER_LINK_KINDS.some((k) => k.value === link.kind))
+        .map(([printerId, link]) => [
+          printerId,
+          { kind: link.kind, url: link.url, apiKey: typeof link.apiKey === 'string' ? link.apiKey : '' },
+        ])
+    );
+  } catch {
+    return {};
+  }
+}
+
+export function savePrinterLinks(links) {
+  localStorage.setItem(PRINTER_LINKS_KEY, JSON.stringify(links));
+}
+
+async function getJson(link, path) {
+  const headers = {};
+  if (link.apiKey) {
+    headers['X-Api-Key'] = link.apiKey;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${link.url.replace(/\/+$/, '')}${path}`, {
+      headers,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch {
+    throw new Error('The printer cannot be reached.');
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('The printer rejected the API key.');
+  }
+  if (!response.ok) {
+    throw new Error(`The printer answered with status ${response.status}.`);
+  }
+
+  try {
+    return await response.json();
+  } catch {
+    throw new Error('The printer sent a response that is not JSON.');
+  }
+}
+
+function normalizeTray(slot, hex, material, empty = false) {
+  return {
+    slot,
+    hex: normalizeHex(hex),
+    material: typeof material === 'string' && material.trim() ? material.trim() : null,
+    empty,
+  };
+}
+
+function progressOf(value) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null;
+}
+
+const MOONRAKER_STATES = {
+  standby: 'idle',
+  printing: 'printing',
+  paused: 'paused',
+  complete: 'finished',
+  cancelled: 'failed',
+  error: 'failed',
+};
+
+// Klipper has no AMS of its own; with Happy Hare the `mmu` object lists the
+// color and material of each gate, and gate status 0 means the gate is empty.
+async function readMoonraker(link) {
+  const body = await getJson(link, '/printer/objects/query?print_stats&display_status&mmu');
+  const status = body?.result?.status ?? {};
+  const mmu = status.mmu;
+  return {
+    trays: Array.isArray(mmu?.gate_color)
+      ? mmu.gate_color.map((color, slot) =>
+          normalizeTray(slot, color, mmu.gate_material?.[slot], mmu.gate_status?.[slot] === 0)
+        )
+      : null,
+    job: {
+      state: MOONRAKER_STATES[status.print_stats?.state] ?? 'idle',
+      fileName: String(status.print_stats?.filename ?? ''),
+      progress: progressOf(status.display_status?.progress),
+    },
+  };
+}
+
+// OctoPrint reports no filament, and a finished job shows as "Operational"
+// with the last job at 100%.
+async function readOctoPrint(link) {
+  const body = await getJson(link, '/api/job');
+  const state = String(body?.state ?? '');
+  const completion = Number(body?.progress?.completion);
+  let jobState = 'idle';
+  if (/^Printing/.test(state)) {
+    jobState = 'printing';
+  } else if (/^Paus/.test(state)) {
+    jobState = 'paused';
+  } else if (/^(Cancelling|Error)/.test(state)) {
+    jobState = 'failed';
+  } else if (/^Operational/.test(state) && completion >= 100) {
+    jobState = 'finished';
+  }
+
+  return {
+    trays: null,
+    job: {
+      state: jobState,
+      fileName: String(body?.job?.file?.name ?? ''),
+      progress: Number.isFinite(completion) ? progressOf(completion / 100) : null,
+    },
+  };
+}
+
+async function readBridge(link) {
+  const body = await getJson(link, '/status');
+  return {
+    trays: Array.isArray(body?.trays)
+      ? body.trays
+          .filter((entry) => Number.isInteger(entry?.slot) && entry.slot >= 0)
+          .map((entry) => normalizeTray(entry.slot, entry.hex, entry.material, Boolean(entry.empty)))
+      : null,
+    job: {
+      state: JOB_STATES.includes(body?.job?.state) ? body.job.state : 'idle',
+      fileName: String(body?.job?.fileName ?? ''),
+      progress: progressOf(body?.job?.progress),
+    },
+  };
+}
+
+const READERS = { moonraker: readMoonraker, octoprint: readOctoPrint, bridge: readBridge };
+
+// Returns { trays, job }: `trays` lists { slot, hex, material, empty } or is
+// null when the printer does not report its filament.
+export function readPrinterStatus(link) {
+  return READERS[link.kind](link);
+}
+
+// Picks the color each tray holds: same hex and material first, then the same
+// hex, then the only color of that material. `colors` comes in order of
+// preference. Trays that match nothing leave their slot empty and are
+// returned in `unmatched` so the user can add the color.
+export function matchTrays(trays, colors, slots) {
+  const layout = Array(slots).fill(null);
+  const unmatched = [];
+  for (const tray of trays) {
+    if (tray.slot >= slots || tray.empty || (!tray.hex && !tray.material)) {
+      continue;
+    }
+
+    const free = colors.filter((color) => !layout.includes(color.id));
+    const sameMaterial = (color) =>
+      Boolean(tray.material) && color.material?.toLowerCase() === tray.material.toLowerCase();
+    const byHex = tray.hex ? free.filter((color) => color.hex === tray.hex) : [];
+    const byMaterial = free.filter(sameMaterial);
+    const match = byHex.find(sameMaterial) ?? byHex[0] ?? (byMaterial.length === 1 ? byMaterial[0] : null);
+    if (match) {
+      layout[tray.slot] = match.id;
+    } else {
+      unmatched.push(tray);
+    }
+  }
+  return { layout, unmatched };
+}
+
+export function describeJob(job) {
+  const progress = job.progress === null || job.state === 'idle' ? '' : ` (${Math.round(job.progress * 100)}%)`;
+  return `${JOB_LABELS[job.state]}${job.fileName && job.state !== 'idle' ? ` ${job.fileName}` : ''}${progress}`;
+}
+
+function simplifyName(text) {
+  return text
+    .toLowerCase()
+    .replace(/\.(gcode|bgcode|3mf)\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Slicers name the job after the file and plate ("Helmet_plate_2.gcode"), so
+// the plate whose name appears in the job name is the one printing; the
+// longest name wins when several do.
+export function findJobPlate(plates, fileName) {
+  const job = ` ${simplifyName(fileName)} `;
+  return (
+    plates
+      .filter((plate) => simplifyName(plate.name) && job.includes(` ${simplifyName(plate.name)} `))
+      .sort((a, b) => b.name.length - a.name.length)[0] ?? null
+  );
+}
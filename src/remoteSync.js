@@ -0,0 +1,259 @@
+// Optional sync with a self-hosted server (see server/sync-server.js for the
+// protocol). The server stamps each project with `updatedAt` when it stores
+// it; writes carry the stamp this device last saw, and the server refuses
+// them with 409 when the project changed on another device since.
+
+export const REMOTE_SETTINGS_KEY = 'filament-swapper-remote-settings';
+export const REMOTE_STATE_KEY = 'filament-swapper-remote-state';
+
+const SYNC_LOCK = 'filament-swapper-remote-sync';
+// A server that stops answering would otherwise hold the sync lock for good.
+const REQUEST_TIMEOUT_MS = 15000;
+
+export function loadRemoteSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REMOTE_SETTINGS_KEY) ?? '{}');
+    return {
+      url: typeof saved.url === 'string' ? saved.url : '',
+      token: typeof saved.token === 'string' ? saved.token : '',
+      enabled: Boolean(saved.enabled && saved.url),
+    };
+  } catch {
+    return { url: '', token: '', enabled: false };
+  }
+}
+
+export function saveRemoteSettings(settings) {
+  localStorage.setItem(REMOTE_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// `synced` maps a project id to the server stamp and content this device
+// last agreed on (content null for a deleted project), `queue` lists projects
+// with local changes to send, and `conflicts` holds server copies waiting for
+// the user to choose.
+export function emptyRemoteState() {
+  return { synced: {}, queue: [], conflicts: [], lastSyncedAt: null };
+}
+
+export function loadRemoteState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REMOTE_STATE_KEY) ?? 'null');
+    if (!saved || typeof saved.synced !== 'object' || !Array.isArray(saved.queue)) {
+      return emptyRemoteState();
+    }
+    return {
+      synced: saved.synced ?? {},
+      queue: saved.queue,
+      conflicts: Array.isArray(saved.conflicts) ? saved.conflicts : [],
+      lastSyncedAt: saved.lastSyncedAt ?? null,
+    };
+  } catch {
+    return emptyRemoteState();
+  }
+}
+
+export function saveRemoteState(remote) {
+  localStorage.setItem(REMOTE_STATE_KEY, JSON.stringify(remote));
+}
+
+// Printers and what is left on each spool belong to the workspace and
+// change all the time, from printer polling among others. Every resolved
+// project carries them, so they are left out when deciding whether a project
+// changed; otherwise one spool edit would send and conflict every project.
+function projectJson(project) {
+  if (!project) {
+    return null;
+  }
+  const { printers, colors, ...owned } = project;
+  return JSON.stringify({ ...owned, colors: colors.map(({ spoolGrams, ...color }) => color) });
+}
+
+function syncedJson(remote, projectId) {
+  return remote.synced[projectId]?.json ?? null;
+}
+
+// Adds every project whose content differs from the last synced copy to the
+// queue. Returns `remote` unchanged when nothing new needs sending.
+export function queueLocalChanges(remote, projects) {
+  const queued = new Set(remote.queue.map((item) => item.projectId));
+  const blocked = new Set(remote.conflicts.map((conflict) => conflict.projectId));
+  const localIds = new Set(projects.map((project) => project.id));
+  const changed = [
+    ...projects
+      .filter((project) => projectJson(project) !== syncedJson(remote, project.id))
+      .map((project) => project.id),
+    ...Object.keys(remote.synced).filter((projectId) => !localIds.has(projectId) && syncedJson(remote, projectId)),
+  ].filter((projectId) => !queued.has(projectId) && !blocked.has(projectId));
+
+  if (changed.length === 0) {
+    return remote;
+  }
+
+  const queuedAt = new Date().toISOString();
+  return { ...remote, queue: [...remote.queue, ...changed.map((projectId) => ({ projectId, queuedAt }))] };
+}
+
+async function request(settings, method, path, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.token) {
+    headers.Authorization = `Bearer ${settings.token}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${settings.url.replace(/\/+$/, '')}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch {
+    throw new Error('The sync server cannot be reached. Changes are kept and sent when it is back.');
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('The sync server rejected the access token.');
+  }
+  if (!response.ok && response.status !== 409) {
+    throw new Error(`The sync server answered with status ${response.status}.`);
+  }
+
+  try {
+    return { status: response.status, body: await response.json() };
+  } catch {
+    throw new Error('The sync server sent a response that is not JSON.');
+  }
+}
+
+// Sends queued projects, then collects what other devices changed. Stops at
+// the first failed request and reports it in `error`, keeping whatever
+// already went through so the next run resumes from there.
+export async function syncProjects(settings, remote, projects) {
+  const localById = new Map(projects.map((project) => [project.id, project]));
+  const synced = { ...remote.synced };
+  const conflicts = [...remote.conflicts];
+  const queue = [...remote.queue];
+  const adoptions = [];
+  const finish = (error) => ({
+    remote: {
+      ...remote,
+      synced,
+      queue,
+      conflicts,
+      lastSyncedAt: error ? remote.lastSyncedAt : new Date().toISOString(),
+    },
+    adoptions,
+    error,
+  });
+
+  try {
+    while (queue.length > 0) {
+      const { projectId } = queue[0];
+      const project = localById.get(projectId) ?? null;
+      const json = projectJson(project);
+      if (json !== (synced[projectId]?.json ?? null)) {
+        const path = `/projects/${encodeURIComponent(projectId)}`;
+        const baseUpdatedAt = synced[projectId]?.updatedAt ?? null;
+        let { status, body } = project
+          ? await request(settings, 'PUT', path, { baseUpdatedAt, project })
+          : await request(settings, 'DELETE', path, { baseUpdatedAt });
+        // No entry at all means the server lost its data, as one without a
+        // data file does when it restarts. Nobody deleted the project, so it
+        // is sent again as new, and a deletion has nothing left to delete.
+        if (status === 409 && body.updatedAt === null && baseUpdatedAt !== null) {
+          ({ status, body } = project
+            ? await request(settings, 'PUT', path, { baseUpdatedAt: null, project })
+            : { status: 200, body: { updatedAt: null, project: null } });
+        }
+
+        const serverJson = projectJson(body.project);
+        if (status === 409 && serverJson !== json) {
+          conflicts.push({ projectId, project: body.project ?? null, updatedAt: body.updatedAt });
+        } else {
+          synced[projectId] = { updatedAt: body.updatedAt, json };
+        }
+      }
+      queue.shift();
+    }
+
+    const { body } = await request(settings, 'GET', '/projects');
+    const pending = new Set(conflicts.map((conflict) => conflict.projectId));
+    const entries = Array.isArray(body.projects) ? body.projects : [];
+    for (const entry of entries) {
+      if (!pending.has(entry.id) && entry.updatedAt !== synced[entry.id]?.updatedAt) {
+        adoptions.push({ projectId: entry.id, project: entry.project ?? null, updatedAt: entry.updatedAt });
+      }
+    }
+
+    // The server keeps deleted projects, so one it no longer lists at all was
+    // lost in a restart. Forgetting its stamp sends it again as new.
+    const listed = new Set(entries.map((entry) => entry.id));
+    const queuedAt = new Date().toISOString();
+    for (const [projectId, entry] of Object.entries(synced)) {
+      if (entry.updatedAt === null || listed.has(projectId) || pending.has(projectId)) {
+        continue;
+      }
+      delete synced[projectId];
+      if (localById.has(projectId) && !queue.some((item) => item.projectId === projectId)) {
+        queue.push({ projectId, queuedAt });
+      }
+    }
+  } catch (error) {
+    return finish(error.message);
+  }
+
+  return finish(null);
+}
+
+// Applies server changes to the current projects. A project edited locally
+// while the sync was running is skipped and stays unsynced, so its next push
+// is checked against the newer server copy.
+export function applyRemoteChanges(projects, startProjects, result) {
+  const startJson = new Map(startProjects.map((project) => [project.id, projectJson(project)]));
+  const synced = { ...result.remote.synced };
+  let next = projects;
+
+  for (const adoption of result.adoptions) {
+    const local = next.find((project) => project.id === adoption.projectId);
+    if ((local ? projectJson(local) : undefined) !== startJson.get(adoption.projectId)) {
+      continue;
+    }
+
+    if (adoption.project) {
+      next = local
+        ? next.map((project) => (project.id === adoption.projectId ? adoption.project : project))
+        : [...next, adoption.project];
+    } else {
+      next = next.filter((project) => project.id !== adoption.projectId);
+    }
+    synced[adoption.projectId] = {
+      updatedAt: adoption.updatedAt,
+      json: projectJson(adoption.project),
+    };
+  }
+
+  return { projects: next, remote: { ...result.remote, synced } };
+}
+
+// Resolving keeps the server stamp as the new base, so "mine" is sent on the
+// next run without tripping the same conflict again.
+export function resolveRemoteConflict(remote, conflict, keepServerCopy) {
+  const synced = {
+    ...remote.synced,
+    [conflict.projectId]: keepServerCopy
+      ? { updatedAt: conflict.updatedAt, json: projectJson(conflict.project) }
+      : { updatedAt: conflict.updatedAt, json: remote.synced[conflict.projectId]?.json ?? null },
+  };
+  return {
+    ...remote,
+    synced,
+    queue: remote.queue.filter((item) => item.projectId !== conflict.projectId),
+    conflicts: remote.conflicts.filter((open) => open.projectId !== conflict.projectId),
+  };
+}
+
+// Runs `task` while holding a lock shared by all tabs of this app, so two
+// tabs never push the same queue at once.
+export function withSyncLock(task) {
+  return navigator.locks ? navigator.locks.request(SYNC_LOCK, task) : task();
+}
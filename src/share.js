@@ -0,0 +1,52 @@
+import { parseProjectFile, serializeProjects } from './storage';
+
+const SHARE_PREFIX = '#share=';
+
+async function transform(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// The project travels in the URL fragment, which browsers never send to the
+// server hosting the page.
+export async function createShareUrl(project) {
+  const json = new TextEncoder().encode(serializeProjects([project]));
+  const compressed = await transform(json, new CompressionStream('deflate-raw'));
+  const url = new URL(window.location.href);
+  url.hash = `${SHARE_PREFIX.slice(1)}${toBase64Url(compressed)}`;
+  return url.toString();
+}
+
+export function hasSharedProject(hash) {
+  return hash.startsWith(SHARE_PREFIX);
+}
+
+export async function readSharedProject(hash) {
+  let json;
+  try {
+    const compressed = fromBase64Url(hash.slice(SHARE_PREFIX.length));
+    json = new TextDecoder().decode(await transform(compressed, new DecompressionStream('deflate-raw')));
+    JSON.parse(json);
+  } catch {
+    throw new Error('The shared link is incomplete or damaged.');
+  }
+
+  const [project] = parseProjectFile(json, 'shared link');
+  if (!project) {
+    throw new Error('The shared link does not contain a project.');
+  }
+  return project;
+}
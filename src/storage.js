@@ -0,0 +1,845 @@
+import { normalizeHex } from './filaments';
+import {
+  DEFAULT_SPOOL_GRAMS,
+  PLATE_PRIORITIES,
+  mustPrintAfter,
+  normalizeAmsLayout,
+  plateColorGrams,
+} from './planner';
+
+export const STORAGE_KEY = 'filament-swapper-state-v1';
+export const RECOVERY_KEY = 'filament-swapper-recovery';
+// Kept apart from the shared state so tabs with different projects open do
+// not keep writing their selection over each other.
+export const SELECTED_PROJECT_KEY = 'filament-swapper-selected-project';
+export const STATE_VERSION = 3;
+export const PROJECT_FILE_APP = 'filament-swapper';
+export const PROJECT_FILE_VERSION = 1;
+
+const MAX_RECOVERY_ENTRIES = 5;
+
+export function uid() {
+  return crypto.randomUUID();
+}
+
+export function createColor(name, attributes = {}) {
+  return {
+    id: uid(),
+    name,
+    hex: null,
+    material: null,
+    brand: '',
+    notes: '',
+    spoolGrams: null,
+    spoolSize: DEFAULT_SPOOL_GRAMS,
+    ...attributes,
+  };
+}
+
+export function createPlate({ name, printMinutes = 0, colorIds = [], colorGrams = {}, quantity = 1 }) {
+  return {
+    id: uid(),
+    name,
+    printMinutes,
+    colorIds,
+    colorGrams,
+    quantity,
+    printedCount: 0,
+    printed: false,
+    printing: false,
+    failed: false,
+    priority: 'normal',
+    printAfter: [],
+    dueAt: null,
+    colorChanges: null,
+  };
+}
+
+export function createPrinter(name, amsSlots, currentAms = []) {
+  const slots = Math.max(1, Number(amsSlots) || 4);
+  return {
+    id: uid(),
+    name,
+    amsSlots: slots,
+    currentAms: normalizeAmsLayout(currentAms, slots),
+    pinnedColorIds: [],
+    reservedSlots: [],
+  };
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Version 1 kept the AMS slot count and loaded colors on the project itself.
+function migrateProjectPrinters(project) {
+  if (!isRecord(project) || Array.isArray(project.printers)) {
+    return project;
+  }
+
+  const { amsSlots, currentAms, ...rest } = project;
+  return { ...rest, printers: [createPrinter('Printer 1', amsSlots, currentAms)] };
+}
+
+function sameName(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+// Colors count as the same filament when name and material match; the hex is
+// left out because older projects often have none.
+function sameFilament(a, b) {
+  return sameName(a.name, b.name) && (a.material || null) === (b.material || null);
+}
+
+function recordsOf(value) {
+  return Array.isArray(value) ? value.filter(isRecord) : [];
+}
+
+// Version 2 kept colors and printers on each project. They move into the
+// workspace, merging the same filament and printers with the same name across
+// projects; the selected project goes first, so its AMS state is kept.
+function migrateWorkspace(state) {
+  const colors = [];
+  const printers = [];
+  const projects = state.projects.filter(isRecord);
+  const ordered = [
+    ...projects.filter((project) => project.id === state.selectedProjectId),
+    ...projects.filter((project) => project.id !== state.selectedProjectId),
+  ];
+
+  const migrated = new Map();
+  for (const project of ordered) {
+    const { colors: projectColors, printers: projectPrinters, ...rest } = project;
+    const colorMap = new Map();
+    for (const color of recordsOf(projectColors)) {
+      const match = colors.find((c) => sameFilament(c, color));
+      if (!match) {
+        colors.push(color);
+      }
+      colorMap.set(color.id, match ? match.id : color.id);
+    }
+
+    const mapColor = (colorId) => colorMap.get(colorId) ?? colorId;
+    const printerMap = new Map();
+    for (const printer of recordsOf(projectPrinters)) {
+      const match = printers.find((p) => sameName(p.name, printer.name));
+      if (!match) {
+        printers.push({
+          ...printer,
+          currentAms: Array.isArray(printer.currentAms) ? printer.currentAms.map(mapColor) : [],
+          pinnedColorIds: Array.isArray(printer.pinnedColorIds) ? printer.pinnedColorIds.map(mapColor) : [],
+        });
+      }
+      printerMap.set(printer.id, match ? match.id : printer.id);
+    }
+
+    migrated.set(project, {
+      ...rest,
+      colorIds: [...new Set(recordsOf(projectColors).map((color) => mapColor(color.id)))],
+      plates: recordsOf(project.plates).map((plate) => ({
+        ...(Array.isArray(plate.colorIds) ? remapPlate(plate, colorMap, plate.id) : plate),
+        printerId: printerMap.get(plate.printerId) ?? plate.printerId,
+      })),
+      printLog: recordsOf(project.printLog).map((entry) => ({
+        ...entry,
+        printerId: printerMap.get(entry.printerId) ?? entry.printerId,
+        grams: isRecord(entry.grams)
+          ? Object.fromEntries(Object.entries(entry.grams).map(([colorId, grams]) => [mapColor(colorId), grams]))
+          : entry.grams,
+      })),
+    });
+  }
+
+  return {
+    ...state,
+    workspace: { colors, printers },
+    projects: state.projects.map((project) => migrated.get(project) ?? project),
+  };
+}
+
+// MIGRATIONS[n] upgrades stored state from version n + 1 to version n + 2.
+const MIGRATIONS = [
+  (state) => ({ ...state, projects: state.projects.map(migrateProjectPrinters) }),
+  migrateWorkspace,
+];
+
+// State saved before versioning was introduced has no `version` and is v1.
+export function migrateState(raw) {
+  if (!isRecord(raw) || !Array.isArray(raw.projects)) {
+    throw new Error('The saved data does not contain a project list.');
+  }
+
+  const version = Number(raw.version) || 1;
+  if (version > STATE_VERSION) {
+    throw new Error('The saved data was written by a newer version of the planner.');
+  }
+
+  let state = raw;
+  for (let from = version; from < STATE_VERSION; from += 1) {
+    state = MIGRATIONS[from - 1](state);
+  }
+  return { ...state, version: STATE_VERSION };
+}
+
+function normalizePrinters(printers, colorIds) {
+  if (!Array.isArray(printers) || printers.length === 0) {
+    return [createPrinter('Printer 1', 4)];
+  }
+
+  return printers.map((printer, index) => {
+    const slots = Math.max(1, Number(printer.amsSlots) || 4);
+    const reservedSlots = Array.isArray(printer.reservedSlots)
+      ? [...new Set(printer.reservedSlots)].filter((slot) => Number.isInteger(slot) && slot >= 0 && slot < slots)
+      : [];
+    return {
+      id: printer.id ?? uid(),
+      name: printer.name || `Printer ${index + 1}`,
+      amsSlots: slots,
+      currentAms: normalizeAmsLayout(printer.currentAms, slots).map((colorId, slot) =>
+        reservedSlots.includes(slot) || !colorIds.has(colorId) ? null : colorId
+      ),
+      pinnedColorIds: Array.isArray(printer.pinnedColorIds)
+        ? [...new Set(printer.pinnedColorIds.filter((colorId) => colorIds.has(colorId)))]
+        : [],
+      reservedSlots: reservedSlots.sort((a, b) => a - b),
+    };
+  });
+}
+
+function normalizeColor(color) {
+  return {
+    ...color,
+    id: color.id ?? uid(),
+    name: String(color.name ?? ''),
+    hex: normalizeHex(color.hex),
+    material: typeof color.material === 'string' && color.material.trim() ? color.material.trim() : null,
+    brand: String(color.brand ?? '').trim(),
+    notes: String(color.notes ?? ''),
+    spoolGrams: Number.isFinite(color.spoolGrams) ? Math.max(0, color.spoolGrams) : null,
+    spoolSize: Number(color.spoolSize) > 0 ? Number(color.spoolSize) : DEFAULT_SPOOL_GRAMS,
+  };
+}
+
+// The filament library and the printers are shared by all projects. A
+// printer's AMS holds whatever was last loaded, whichever project that was for.
+export function normalizeWorkspace(workspace) {
+  const colors = recordsOf(workspace?.colors).map(normalizeColor);
+  return { colors, printers: normalizePrinters(workspace?.printers, new Set(colors.map((color) => color.id))) };
+}
+
+function normalizeSchedule(schedule) {
+  const clock = (value) => (typeof value === 'string' && /^\d{2}:\d{2}$/.test(value) ? value : null);
+  const from = clock(schedule?.attended?.from);
+  const until = clock(schedule?.attended?.until);
+  return {
+    startAt: typeof schedule?.startAt === 'string' && !Number.isNaN(Date.parse(schedule.startAt)) ? schedule.startAt : null,
+    attended: from && until ? { from, until } : null,
+    correctTimes: Boolean(schedule?.correctTimes),
+  };
+}
+
+function normalizePrintLog(log) {
+  const time = (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null);
+  return (Array.isArray(log) ? log.filter(isRecord) : [])
+    .map((entry) => ({
+      id: entry.id ?? uid(),
+      plateId: entry.plateId ?? null,
+      plateName: String(entry.plateName ?? ''),
+      printerId: entry.printerId ?? null,
+      startedAt: time(entry.startedAt),
+      finishedAt: time(entry.finishedAt),
+      estimatedMinutes: Number(entry.estimatedMinutes) > 0 ? Number(entry.estimatedMinutes) : 0,
+      swaps: Number.isInteger(entry.swaps) && entry.swaps >= 0 ? entry.swaps : null,
+      grams: Object.fromEntries(
+        Object.entries(isRecord(entry.grams) ? entry.grams : {})
+          .map(([colorId, grams]) => [colorId, Number(grams)])
+          .filter(([, grams]) => grams > 0)
+      ),
+      failed: Boolean(entry.failed),
+      failReason: entry.failed && typeof entry.failReason === 'string' ? entry.failReason : null,
+      failNote: typeof entry.failNote === 'string' ? entry.failNote : '',
+    }))
+    .filter((entry) => entry.startedAt || entry.finishedAt);
+}
+
+// The plan order maps printer ids to the lane as it was last arranged by
+// hand, as { plateId, locked } entries. Only locked entries fix a plate's
+// place; the others keep the positions between them.
+function normalizePlanOrder(planOrder, plates, printers) {
+  const plateIds = new Set(plates.map((plate) => plate.id));
+  return Object.fromEntries(
+    Object.entries(isRecord(planOrder) ? planOrder : {})
+      .filter(([printerId, entries]) => printers.some((printer) => printer.id === printerId) && Array.isArray(entries))
+      .map(([printerId, entries]) => [
+        printerId,
+        entries
+          .filter((entry) => plateIds.has(entry?.plateId))
+          .map((entry) => ({ plateId: entry.plateId, locked: Boolean(entry.locked) })),
+      ])
+      .filter(([, entries]) => entries.some((entry) => entry.locked))
+  );
+}
+
+// Flush volumes map a color id to the colors it flushes into, in mm³. Only
+// pairs set by hand are stored; the planner works out the rest from the hex
+// colors.
+function normalizeFlushVolumes(flushVolumes, library) {
+  return Object.fromEntries(
+    Object.entries(isRecord(flushVolumes) ? flushVolumes : {})
+      .filter(([fromId, volumes]) => library.has(fromId) && isRecord(volumes))
+      .map(([fromId, volumes]) => [
+        fromId,
+        Object.fromEntries(
+          Object.entries(volumes)
+            .filter(([toId, volume]) => toId !== fromId && library.has(toId) && Number(volume) >= 0)
+            .map(([toId, volume]) => [toId, Math.round(Number(volume))])
+        ),
+      ])
+      .filter(([, volumes]) => Object.keys(volumes).length > 0)
+  );
+}
+
+// Drops "print after" links to plates that are gone and any link that would
+// close a loop, keeping the ones that come first.
+function normalizePrintAfter(plates) {
+  const plateIds = new Set(plates.map((plate) => plate.id));
+  const checked = [];
+  for (const plate of plates) {
+    const printAfter = [...new Set(Array.isArray(plate.printAfter) ? plate.printAfter : [])].filter(
+      (id) => id !== plate.id && plateIds.has(id) && !mustPrintAfter(checked, id, plate.id)
+    );
+    checked.push({ ...plate, printAfter });
+  }
+  return checked;
+}
+
+export function normalizeProject(project, workspace) {
+  const { printers } = workspace;
+  const library = new Set(workspace.colors.map((color) => color.id));
+  return {
+    ...project,
+    id: project.id ?? uid(),
+    name: String(project.name ?? '').trim() || 'Untitled project',
+    colorIds: Array.isArray(project.colorIds) ? [...new Set(project.colorIds.filter((id) => library.has(id)))] : [],
+    schedule: normalizeSchedule(project.schedule),
+    printLog: normalizePrintLog(project.printLog),
+    planOrder: normalizePlanOrder(project.planOrder, Array.isArray(project.plates) ? project.plates : [], printers),
+    flushVolumes: normalizeFlushVolumes(project.flushVolumes, library),
+    plates: normalizePrintAfter(
+      (Array.isArray(project.plates) ? project.plates : []).map((plate) => {
+        const colorIds = Array.isArray(plate.colorIds) ? [...new Set(plate.colorIds)] : [];
+        // Plates from before quantities are one copy, printed or not.
+        const quantity = Math.max(1, Math.floor(Number(plate.quantity)) || 1);
+        const printedCount = plate.printed
+          ? quantity
+          : Math.min(quantity, Math.max(0, Math.floor(Number(plate.printedCount)) || 0));
+        const printed = printedCount === quantity;
+        return {
+          ...plate,
+          id: plate.id ?? uid(),
+          name: String(plate.name ?? ''),
+          colorIds,
+          printMinutes: Number(plate.printMinutes) > 0 ? Number(plate.printMinutes) : 0,
+          colorGrams: plateColorGrams({ ...plate, colorIds }),
+          quantity,
+          printedCount,
+          printed,
+          printing: Boolean(plate.printing) && !printed,
+          failed: Boolean(plate.failed) && !printed,
+          printerId: printers.some((printer) => printer.id === plate.printerId)
+            ? plate.printerId
+            : plate.printing
+              ? printers[0].id
+              : null,
+          priority: PLATE_PRIORITIES.some((priority) => priority.value === plate.priority) ? plate.priority : 'normal',
+          dueAt: typeof plate.dueAt === 'string' && !Number.isNaN(Date.parse(plate.dueAt)) ? plate.dueAt : null,
+          colorChanges: Number.isInteger(plate.colorChanges) && plate.colorChanges >= 0 ? plate.colorChanges : null,
+        };
+      })
+    ),
+  };
+}
+
+// Normalizes a stored project, keeping whatever is usable and describing
+// anything that had to be dropped in `issues`. Returns null when the entry
+// is not a project at all.
+function validateProject(raw, index, issues, workspace) {
+  if (!isRecord(raw)) {
+    issues.push(`Project ${index + 1} is unreadable and was not loaded.`);
+    return null;
+  }
+
+  const label = String(raw.name ?? '').trim() || `Project ${index + 1}`;
+  const listOf = (key, noun) => {
+    if (raw[key] === undefined) {
+      return [];
+    }
+    if (!Array.isArray(raw[key])) {
+      issues.push(`${label}: the ${noun} list is unreadable and was not loaded.`);
+      return [];
+    }
+
+    const valid = raw[key].filter(isRecord);
+    const dropped = raw[key].length - valid.length;
+    if (dropped > 0) {
+      issues.push(`${label}: ${dropped} unreadable ${dropped === 1 ? noun : `${noun}s`} not loaded.`);
+    }
+    return valid;
+  };
+
+  const library = new Set(workspace.colors.map((color) => color.id));
+  const colorIds = new Set(Array.isArray(raw.colorIds) ? raw.colorIds.filter((colorId) => library.has(colorId)) : []);
+  const plates = listOf('plates', 'plate').map((plate, plateIndex) => {
+    if (!Array.isArray(plate.colorIds)) {
+      return plate;
+    }
+
+    const known = plate.colorIds.filter((colorId) => colorIds.has(colorId));
+    if (known.length < plate.colorIds.length) {
+      const name = String(plate.name ?? '').trim() || `Plate ${plateIndex + 1}`;
+      issues.push(`${label}: plate "${name}" used colors that no longer exist; they were removed.`);
+    }
+    return { ...plate, colorIds: known };
+  });
+
+  return normalizeProject({ ...raw, plates }, workspace);
+}
+
+function readProjects(rawProjects, workspace, issues) {
+  return rawProjects.map((project, index) => validateProject(project, index, issues, workspace)).filter(Boolean);
+}
+
+export function loadRecoveryEntries() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(RECOVERY_KEY) ?? '[]');
+    return Array.isArray(entries) ? entries.filter(isRecord) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Keeps the raw stored text before the app writes over it, so a damaged
+// save can still be downloaded, repaired and imported.
+function keepRecoveryCopy(raw, reason, issues) {
+  const entries = loadRecoveryEntries();
+  if (entries.some((entry) => entry.raw === raw)) {
+    return;
+  }
+
+  const entry = { id: uid(), savedAt: new Date().toISOString(), reason, issues, raw };
+  try {
+    localStorage.setItem(RECOVERY_KEY, JSON.stringify([entry, ...entries].slice(0, MAX_RECOVERY_ENTRIES)));
+  } catch {
+    // Storage is full; there is nowhere else to keep the copy.
+  }
+}
+
+export function discardRecoveryEntry(entryId) {
+  const entries = loadRecoveryEntries().filter((entry) => entry.id !== entryId);
+  if (entries.length === 0) {
+    localStorage.removeItem(RECOVERY_KEY);
+  } else {
+    localStorage.setItem(RECOVERY_KEY, JSON.stringify(entries));
+  }
+  return entries;
+}
+
+export function loadState() {
+  const empty = { projects: [], workspace: normalizeWorkspace(null), selectedProjectId: null };
+  let saved;
+  try {
+    saved = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return empty;
+  }
+  if (!saved) {
+    return empty;
+  }
+
+  let state;
+  try {
+    state = migrateState(JSON.parse(saved));
+  } catch (error) {
+    const reason = error instanceof SyntaxError ? 'The saved data is not valid JSON.' : error.message;
+    keepRecoveryCopy(saved, reason, []);
+    return empty;
+  }
+
+  const issues = [];
+  const workspace = normalizeWorkspace(state.workspace);
+  const projects = readProjects(state.projects, workspace, issues);
+  if (issues.length > 0) {
+    keepRecoveryCopy(saved, 'Some saved projects could not be fully loaded.', issues);
+  }
+
+  // Saves from before the selection had its own key kept it in the state.
+  const selectedProjectId = readSelectedProjectId() ?? state.selectedProjectId;
+  return {
+    projects,
+    workspace,
+    selectedProjectId: projects.some((project) => project.id === selectedProjectId) ? selectedProjectId : null,
+  };
+}
+
+function readSelectedProjectId() {
+  try {
+    return localStorage.getItem(SELECTED_PROJECT_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// Reads the projects and workspace another tab of this app wrote, as written,
+// so they can be compared with this tab's copy. Returns null when the stored
+// value cannot be read, so callers can keep their own copy.
+export function readStoredState() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (!saved) {
+      return { projects: [], workspace: { colors: [], printers: [] } };
+    }
+
+    const state = migrateState(JSON.parse(saved));
+    return {
+      projects: state.projects.filter(isRecord),
+      workspace: { colors: recordsOf(state.workspace?.colors), printers: recordsOf(state.workspace?.printers) },
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function saveState(state) {
+  const text = JSON.stringify({
+    version: STATE_VERSION,
+    workspace: state.workspace,
+    projects: state.projects,
+  });
+  if (localStorage.getItem(STORAGE_KEY) !== text) {
+    localStorage.setItem(STORAGE_KEY, text);
+  }
+  if (state.selectedProjectId) {
+    localStorage.setItem(SELECTED_PROJECT_KEY, state.selectedProjectId);
+  } else {
+    localStorage.removeItem(SELECTED_PROJECT_KEY);
+  }
+}
+
+// Projects only refer to library colors and share the workspace printers.
+// The app works on this resolved copy, which carries both lists the way a
+// self-contained project would.
+export function resolveProject(project, workspace) {
+  const { colorIds, ...rest } = project;
+  const colorById = new Map(workspace.colors.map((color) => [color.id, color]));
+  const printerIds = new Set(workspace.printers.map((printer) => printer.id));
+  // A printer removed while another project was open is gone here too.
+  const orphaned = (plate) => plate.printerId && !printerIds.has(plate.printerId);
+  return {
+    ...rest,
+    colors: colorIds.map((colorId) => colorById.get(colorId)).filter(Boolean),
+    printers: workspace.printers,
+    plates: project.plates.some(orphaned)
+      ? project.plates.map((plate) => (orphaned(plate) ? { ...plate, printing: false, printerId: null } : plate))
+      : project.plates,
+  };
+}
+
+function splitProject(view) {
+  const { colors, printers, ...project } = view;
+  return { ...project, colorIds: colors.map((color) => color.id) };
+}
+
+// Turns an edited resolved copy back into the stored project and writes its
+// colors and printers to the workspace. Colors dropped from the project stay
+// in the library. Returns `workspace` itself when neither list changed.
+export function storeProject(view, workspace) {
+  const changed = view.colors.filter((color) => !workspace.colors.includes(color));
+  const colors =
+    changed.length === 0
+      ? workspace.colors
+      : [
+          ...workspace.colors.map((color) => changed.find((c) => c.id === color.id) ?? color),
+          ...changed.filter((color) => !workspace.colors.some((c) => c.id === color.id)),
+        ];
+  return {
+    project: splitProject(view),
+    workspace:
+      colors === workspace.colors && view.printers === workspace.printers
+        ? workspace
+        : { colors, printers: view.printers },
+  };
+}
+
+// Adds the colors and printers that resolved copies from elsewhere bring
+// along, matching library entries by id and then by name so the same
+// filament or printer is not added twice. With `update` the incoming colors
+// replace the matched ones, as for copies another device changed; printers
+// and spool levels are this device's own, so the copy's are never taken over.
+function absorbProjects(views, workspace, update) {
+  const colors = [...workspace.colors];
+  const printers = [...workspace.printers];
+  function absorb(list, entry, same, keep = null) {
+    let index = list.findIndex((e) => e.id === entry.id);
+    if (index === -1) {
+      index = list.findIndex((e) => same(e, entry));
+    }
+    if (index === -1) {
+      list.push(entry);
+      return entry.id;
+    }
+    if (keep) {
+      list[index] = { ...entry, id: list[index].id, ...keep(list[index]) };
+    }
+    return list[index].id;
+  }
+  const keepSpool = update ? (color) => ({ spoolGrams: color.spoolGrams }) : null;
+
+  const projects = views.map((view) => {
+    const colorMap = new Map(view.colors.map((color) => [color.id, absorb(colors, color, sameFilament, keepSpool)]));
+    const mapColor = (colorId) => colorMap.get(colorId) ?? colorId;
+    const printerMap = new Map(
+      view.printers.map((printer) => [
+        printer.id,
+        absorb(
+          printers,
+          {
+            ...printer,
+            currentAms: printer.currentAms.map((colorId) => (colorId ? mapColor(colorId) : null)),
+            pinnedColorIds: printer.pinnedColorIds.map(mapColor),
+          },
+          (a, b) => sameName(a.name, b.name)
+        ),
+      ])
+    );
+
+    const project = splitProject(view);
+    return {
+      ...project,
+      colorIds: [...new Set(project.colorIds.map(mapColor))],
+      plates: project.plates.map((plate) => ({
+        ...remapPlate(plate, colorMap, plate.id),
+        printerId: plate.printerId ? printerMap.get(plate.printerId) ?? null : null,
+      })),
+      printLog: project.printLog.map((entry) => ({
+        ...entry,
+        printerId: printerMap.get(entry.printerId) ?? entry.printerId,
+        grams: Object.fromEntries(Object.entries(entry.grams).map(([colorId, grams]) => [mapColor(colorId), grams])),
+      })),
+      planOrder: Object.fromEntries(
+        Object.entries(project.planOrder).map(([printerId, entries]) => [printerMap.get(printerId) ?? printerId, entries])
+      ),
+      flushVolumes: remapFlushVolumes(project.flushVolumes, mapColor),
+    };
+  });
+
+  // Slots and pins may name colors the copies did not bring along.
+  const library = new Set(colors.map((color) => color.id));
+  return {
+    projects,
+    workspace: {
+      colors,
+      printers: printers.map((printer) => ({
+        ...printer,
+        currentAms: printer.currentAms.map((colorId) => (library.has(colorId) ? colorId : null)),
+        pinnedColorIds: printer.pinnedColorIds.filter((colorId) => library.has(colorId)),
+      })),
+    },
+  };
+}
+
+// Replaces the project list with `views`, resolved copies as read from files
+// or sent by other devices. Views that are in `current`, the resolved copies
+// of the stored projects, did not change and keep their stored form.
+export function storeProjectViews(state, views, current, update = false) {
+  const unchanged = new Set(current);
+  const absorbed = absorbProjects(
+    views.filter((view) => !unchanged.has(view)),
+    state.workspace,
+    update
+  );
+  const stored = new Map([...state.projects, ...absorbed.projects].map((project) => [project.id, project]));
+  return { projects: views.map((view) => stored.get(view.id)), workspace: absorbed.workspace };
+}
+
+// Takes resolved projects and writes them with the library colors they use
+// and the printers, so the file stands on its own. Passing the workspace
+// writes the whole library, including colors no project uses yet.
+export function serializeProjects(views, workspace = null) {
+  const colors = new Map(
+    (workspace?.colors ?? views.flatMap((view) => view.colors)).map((color) => [color.id, color])
+  );
+  const printers = new Map(views.flatMap((view) => view.printers).map((printer) => [printer.id, printer]));
+  return JSON.stringify(
+    {
+      app: PROJECT_FILE_APP,
+      fileVersion: PROJECT_FILE_VERSION,
+      stateVersion: STATE_VERSION,
+      exportedAt: new Date().toISOString(),
+      workspace: { colors: [...colors.values()], printers: [...printers.values()] },
+      projects: views.map(splitProject),
+    },
+    null,
+    2
+  );
+}
+
+// Accepts exported project files as well as a raw copy of the local storage
+// value, which has the same `projects` and `workspace` without the file
+// header. Returns resolved projects. `source` names what the text came from
+// in error messages.
+export function parseProjectFile(text, source = 'file') {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error(`The ${source} is not valid JSON.`);
+  }
+
+  if (parsed?.app !== undefined && parsed.app !== PROJECT_FILE_APP) {
+    throw new Error(`The ${source} is not a Filament Swap Planner export.`);
+  }
+  if (Number(parsed?.fileVersion) > PROJECT_FILE_VERSION) {
+    throw new Error(`The ${source} was made by a newer version of the planner.`);
+  }
+  if (!Array.isArray(parsed?.projects)) {
+    throw new Error(`The ${source} does not contain any projects.`);
+  }
+
+  const state = migrateState({ ...parsed, version: parsed.stateVersion ?? parsed.version });
+  const workspace = normalizeWorkspace(state.workspace);
+  return readProjects(state.projects, workspace, []).map((project) => resolveProject(project, workspace));
+}
+
+function remapFlushVolumes(flushVolumes, mapColor) {
+  return Object.fromEntries(
+    Object.entries(flushVolumes).map(([fromId, volumes]) => [
+      mapColor(fromId),
+      Object.fromEntries(Object.entries(volumes).map(([toId, volume]) => [mapColor(toId), volume])),
+    ])
+  );
+}
+
+function remapPlate(plate, colorMap, id) {
+  const mapColor = (colorId) => colorMap.get(colorId) ?? colorId;
+  return {
+    ...plate,
+    id,
+    colorIds: plate.colorIds.map(mapColor),
+    colorGrams: Object.fromEntries(
+      Object.entries(plate.colorGrams ?? {}).map(([colorId, grams]) => [mapColor(colorId), grams])
+    ),
+    colorRanges: Array.isArray(plate.colorRanges)
+      ? plate.colorRanges.map((range) => ({ ...range, colorId: mapColor(range.colorId) }))
+      : plate.colorRanges,
+  };
+}
+
+// Colors and printers belong to the workspace, so a copy keeps referring to
+// the same ones and only the project, its plates and its log get new ids.
+function reassignIds(project) {
+  const plateMap = new Map(project.plates.map((plate) => [plate.id, uid()]));
+
+  return {
+    ...project,
+    id: uid(),
+    plates: project.plates.map((plate) => ({
+      ...plate,
+      id: plateMap.get(plate.id),
+      printAfter: plate.printAfter.map((id) => plateMap.get(id)),
+    })),
+    printLog: project.printLog.map((entry) => ({
+      ...entry,
+      id: uid(),
+      plateId: plateMap.get(entry.plateId) ?? null,
+    })),
+    planOrder: Object.fromEntries(
+      Object.entries(project.planOrder).map(([printerId, entries]) => [
+        printerId,
+        entries.map((entry) => ({ ...entry, plateId: plateMap.get(entry.plateId) })),
+      ])
+    ),
+  };
+}
+
+export function copyProject(project, name) {
+  return { ...reassignIds(project), name };
+}
+
+// Adds the colors and plates of `imported` that `existing` does not have
+// yet, matching colors by filament and plates by name. Existing plates and
+// printers are left as is.
+function mergeProjects(existing, imported) {
+  const colors = [...existing.colors];
+  const colorMap = new Map();
+  for (const color of imported.colors) {
+    const match = colors.find((c) => sameFilament(c, color));
+    if (match) {
+      colorMap.set(color.id, match.id);
+      continue;
+    }
+
+    const id = colors.some((c) => c.id === color.id) ? uid() : color.id;
+    colors.push({ ...color, id });
+    colorMap.set(color.id, id);
+  }
+
+  const plates = [...existing.plates];
+  const plateMap = new Map();
+  const added = [];
+  for (const plate of imported.plates) {
+    const match = existing.plates.find((p) => p.name.toLowerCase() === plate.name.toLowerCase());
+    if (match) {
+      plateMap.set(plate.id, match.id);
+      continue;
+    }
+
+    const id = plates.some((p) => p.id === plate.id) ? uid() : plate.id;
+    plateMap.set(plate.id, id);
+    added.push(id);
+    plates.push({ ...remapPlate(plate, colorMap, id), printing: false, printerId: null });
+  }
+
+  // Pairs the existing project set by hand keep their volumes.
+  const flushVolumes = { ...existing.flushVolumes };
+  const mapColor = (colorId) => colorMap.get(colorId) ?? colorId;
+  for (const [fromId, volumes] of Object.entries(remapFlushVolumes(imported.flushVolumes, mapColor))) {
+    flushVolumes[fromId] = { ...volumes, ...flushVolumes[fromId] };
+  }
+
+  // Added plates may wait for imported ones that matched existing plates.
+  return {
+    ...existing,
+    colors,
+    flushVolumes,
+    plates: plates.map((plate) =>
+      added.includes(plate.id)
+        ? { ...plate, printAfter: plate.printAfter.map((id) => plateMap.get(id)).filter(Boolean) }
+        : plate
+    ),
+  };
+}
+
+export function findNameConflict(projects, project) {
+  return projects.find((p) => p.name.toLowerCase() === project.name.toLowerCase()) ?? null;
+}
+
+// Applies imported projects to the workspace. `choices` maps an imported
+// project id to 'merge', 'replace' or 'copy' for projects whose name is
+// already taken; the others are added, with fresh ids if theirs are in use.
+export function applyProjectImport(projects, imported, choices) {
+  let next = [...projects];
+  for (const project of imported) {
+    const existing = findNameConflict(next, project);
+    const choice = existing ? choices[project.id] ?? 'merge' : 'add';
+
+    if (choice === 'merge') {
+      next = next.map((p) => (p.id === existing.id ? mergeProjects(p, project) : p));
+    } else if (choice === 'replace') {
+      next = next.map((p) => (p.id === existing.id ? { ...project, id: existing.id } : p));
+    } else {
+      const added = next.some((p) => p.id === project.id) ? reassignIds(project) : project;
+      next.push(choice === 'copy' ? { ...added, name: `${project.name} (imported)` } : added);
+    }
+  }
+  return next;
+}
@@ -0,0 +1,97 @@
+// Keeps several tabs writing the same local storage key from overwriting each
+// other. Every tab remembers each project as it was last read from or written
+// to storage (its "base"); comparing base, local and stored copies tells which
+// side changed a project since the tabs last agreed.
+
+export function snapshotProjects(projects) {
+  return new Map(projects.map((project) => [project.id, JSON.stringify(project)]));
+}
+
+// Returns the project list this tab should hold after another tab wrote
+// `stored`, plus the projects both tabs changed. Conflicting projects keep the
+// local version; the caller decides which one wins.
+export function reconcileProjects(local, stored, base) {
+  const storedById = new Map(stored.map((project) => [project.id, project]));
+  const localIds = new Set(local.map((project) => project.id));
+  const projects = [];
+  const conflicts = [];
+  let adopted = false;
+
+  for (const project of local) {
+    const localJson = JSON.stringify(project);
+    const storedProject = storedById.get(project.id);
+    if (!storedProject) {
+      // Gone from storage: removed in another tab unless this tab changed it
+      // or has never written it.
+      if (base.get(project.id) === localJson) {
+        adopted = true;
+      } else {
+        projects.push(project);
+      }
+      continue;
+    }
+
+    const storedJson = JSON.stringify(storedProject);
+    if (storedJson === localJson || storedJson === base.get(project.id)) {
+      projects.push(project);
+    } else if (localJson === base.get(project.id)) {
+      projects.push(storedProject);
+      adopted = true;
+    } else {
+      projects.push(project);
+      conflicts.push({ projectId: project.id, stored: storedProject });
+    }
+  }
+
+  for (const project of stored) {
+    if (!localIds.has(project.id) && !base.has(project.id)) {
+      projects.push(project);
+      adopted = true;
+    }
+  }
+
+  return { projects: adopted ? projects : local, conflicts };
+}
+
+export function snapshotWorkspace(workspace) {
+  return { colors: snapshotProjects(workspace.colors), printers: snapshotProjects(workspace.printers) };
+}
+
+// Library colors and printers are matched by id the same way as projects.
+// When both tabs changed the same entry this tab's copy wins; these are small
+// edits, unlike a project's plates, and quick to redo.
+export function reconcileWorkspace(local, stored, base) {
+  const colors = reconcileProjects(local.colors, stored.colors, base.colors).projects;
+  const printers = reconcileProjects(local.printers, stored.printers, base.printers).projects;
+  return colors === local.colors && printers === local.printers ? local : { colors, printers };
+}
+
+// While a conflict is open the stored copy is left as the other tab wrote it,
+// so neither tab's edits are lost before the user picks one.
+export function projectsToStore(projects, conflicts) {
+  if (conflicts.length === 0) {
+    return projects;
+  }
+
+  const storedById = new Map(conflicts.map((conflict) => [conflict.projectId, conflict.stored]));
+  return projects.map((project) => storedById.get(project.id) ?? project);
+}
+
+// Adds newly found conflicts to the open ones, replacing the stored copy of a
+// project that was changed again. Returns `current` when nothing is new.
+export function mergeConflicts(current, found) {
+  const isKnown = (conflict) =>
+    current.some(
+      (open) =>
+        open.projectId === conflict.projectId && JSON.stringify(open.stored) === JSON.stringify(conflict.stored)
+    );
+  const fresh = found.filter((conflict) => !isKnown(conflict));
+  if (fresh.length === 0) {
+    return current;
+  }
+
+  return [
+    ...current.filter((open) => !fresh.some((conflict) => conflict.projectId === open.projectId)),
+    ...fresh,
+  ];
+}
@@ -0,0 +1,121 @@
+import { normalizeHex } from './filaments';
+import { parseGcode } from './gcode';
+import { openZip } from './zip';
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The project contains unreadable slicer metadata.');
+  }
+  return doc;
+}
+
+function childMetadata(element) {
+  const values = {};
+  for (const child of element.children) {
+    if (child.tagName === 'metadata') {
+      values[child.getAttribute('key')] = child.getAttribute('value');
+    }
+  }
+  return values;
+}
+
+function readPlateNames(text) {
+  const names = new Map();
+  if (!text) {
+    return names;
+  }
+
+  for (const plate of parseXml(text).getElementsByTagName('plate')) {
+    const metadata = childMetadata(plate);
+    const index = Number(metadata.plater_id);
+    if (index > 0 && metadata.plater_name?.trim()) {
+      names.set(index, metadata.plater_name.trim());
+    }
+  }
+  return names;
+}
+
+function readFilamentPresets(text) {
+  if (!text) {
+    return [];
+  }
+
+  try {
+    const settings = JSON.parse(text);
+    return Array.isArray(settings.filament_settings_id) ? settings.filament_settings_id : [];
+  } catch {
+    return [];
+  }
+}
+
+function baseName(fileName) {
+  return fileName.replace(/(\.gcode)?\.3mf$/i, '');
+}
+
+async function readEmbeddedGcode(zip, file, plateNames) {
+  const plates = [];
+  for (const name of zip.names()) {
+    const match = /^Metadata\/plate_(\d+)\.gcode$/.exec(name);
+    if (match) {
+      const index = Number(match[1]);
+      const plateName = plateNames.get(index) ?? `${baseName(file.name)} plate ${index}`;
+      plates.push({ index, ...parseGcode(await zip.text(name), plateName) });
+    }
+  }
+  return plates.sort((a, b) => a.index - b.index).map(({ index, ...plate }) => plate);
+}
+
+// Reads a Bambu Studio / OrcaSlicer project. Sliced projects carry
+// Metadata/slice_info.config, which is where per-plate time and filament
+// usage live; .gcode.3mf exports without it fall back to the embedded G-code.
+export async function readThreeMf(file) {
+  const zip = openZip(await file.arrayBuffer());
+  const plateNames = readPlateNames(await zip.text('Metadata/model_settings.config'));
+  const sliceInfo = await zip.text('Metadata/slice_info.config');
+  if (!sliceInfo) {
+    const plates = await readEmbeddedGcode(zip, file, plateNames);
+    if (plates.length > 0) {
+      return { plates };
+    }
+    throw new Error(
+      `${file.name} has no sliced plate data. Slice all plates in Bambu Studio or OrcaSlicer and save the project, then import it again.`
+    );
+  }
+
+  const presets = readFilamentPresets(await zip.text('Metadata/project_settings.config'));
+  const plates = [];
+
+  for (const plate of parseXml(sliceInfo).getElementsByTagName('plate')) {
+    const metadata = childMetadata(plate);
+    const index = Number(metadata.index) || plates.length + 1;
+    const filaments = [];
+
+    for (const filament of plate.getElementsByTagName('filament')) {
+      const slot = Number(filament.getAttribute('id'));
+      filaments.push({
+        hex: normalizeHex(filament.getAttribute('color')),
+        material: filament.getAttribute('type') || null,
+        preset: presets[slot - 1] ?? null,
+        grams: Math.round(Number(filament.getAttribute('used_g')) || 0),
+      });
+    }
+
+    const seconds = Number(metadata.prediction) || 0;
+    if (filaments.length === 0 && seconds === 0) {
+      continue;
+    }
+
+    plates.push({
+      name: plateNames.get(index) ?? `${baseName(file.name)} plate ${index}`,
+      printMinutes: Math.round(seconds / 60),
+      filaments,
+    });
+  }
+
+  if (plates.length === 0) {
+    throw new Error(`${file.name} does not contain any sliced plates.`);
+  }
+
+  return { plates };
+}
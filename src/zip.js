@@ -0,0 +1,126 @@
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const UINT32_MAX = 0xffffffff;
+
+function readUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+function findEndOfCentralDirectory(view) {
+  const last = Math.max(0, view.byteLength - 65557);
+  for (let offset = view.byteLength - 22; offset >= last; offset -= 1) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Not a zip archive.');
+}
+
+function readCentralDirectory(view) {
+  const eocd = findEndOfCentralDirectory(view);
+  let count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  const locator = eocd - 20;
+  if (locator >= 0 && view.getUint32(locator, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const record = readUint64(view, locator + 8);
+    if (view.getUint32(record, true) === ZIP64_EOCD_SIGNATURE) {
+      count = readUint64(view, record + 32);
+      offset = readUint64(view, record + 48);
+    }
+  }
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_ENTRY_SIGNATURE) {
+      throw new Error('Corrupt zip central directory.');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    let compressedSize = view.getUint32(offset + 20, true);
+    let size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    let localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength));
+
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === ZIP64_EXTRA_ID) {
+        let field = extra + 4;
+        if (size === UINT32_MAX) {
+          size = readUint64(view, field);
+          field += 8;
+        }
+        if (compressedSize === UINT32_MAX) {
+          compressedSize = readUint64(view, field);
+          field += 8;
+        }
+        if (localOffset === UINT32_MAX) {
+          localOffset = readUint64(view, field);
+        }
+      }
+      extra += 4 + length;
+    }
+
+    entries.set(name, { name, method, compressedSize, size, localOffset });
+    offset = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Minimal reader for the stored and deflated entries slicers write into
+// .3mf files. Decompression uses the browser's DecompressionStream, so file
+// contents never leave the page.
+export function openZip(buffer) {
+  const view = new DataView(buffer);
+  const entries = readCentralDirectory(view);
+
+  async function bytes(name) {
+    const entry = entries.get(name);
+    if (!entry) {
+      return null;
+    }
+
+    const header = entry.localOffset;
+    if (view.getUint32(header, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+    const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method === 8) {
+      return inflateRaw(data);
+    }
+    throw new Error(`Unsupported compression in zip entry: ${name}`);
+  }
+
+  async function text(name) {
+    const data = await bytes(name);
+    return data ? new TextDecoder().decode(data) : null;
+  }
+
+  return {
+    names: () => [...entries.keys()],
+    bytes,
+    text,
+  };
+}